@@ -1,98 +1,10 @@
 /**
  * Home Purchase Calculator - Frontend Logic
  *
- * This file handles all client-side calculations and UI updates.
- * All formulas match those in formulas.py for consistency.
+ * This file handles state, persistence and UI updates. The calculations
+ * themselves live in calculations.js, which must be loaded first.
  */
 
-// =============================================================================
-// CONSTANTS (matching formulas.py)
-// =============================================================================
-
-const CMHC_RATES = [
-    { maxLtv: 0.65, rate: 0.0060 },
-    { maxLtv: 0.75, rate: 0.0170 },
-    { maxLtv: 0.80, rate: 0.0240 },
-    { maxLtv: 0.85, rate: 0.0280 },
-    { maxLtv: 0.90, rate: 0.0310 },
-    { maxLtv: 0.95, rate: 0.0400 },
-];
-
-const CMHC_30_YEAR_SURCHARGE = 0.0020;
-const QUEBEC_TVQ_RATE = 0.09975;
-
-const QUEBEC_WELCOME_TAX_BRACKETS = [
-    { threshold: 55200, rate: 0.005 },
-    { threshold: 276200, rate: 0.010 },
-    { threshold: 500000, rate: 0.015 },
-    { threshold: 1000000, rate: 0.020 },
-    { threshold: Infinity, rate: 0.025 },
-];
-
-// Financing source types
-const FINANCING_TYPES = {
-    mortgage: {
-        label: 'Bank Mortgage',
-        requiresRepayment: true,
-        isLoan: true,
-        countsTowardDownPayment: false,
-        description: 'Standard mortgage loan from a financial institution'
-    },
-    celiapp: {
-        label: 'CELIAPP',
-        requiresRepayment: false,
-        isLoan: false,
-        countsTowardDownPayment: true,
-        description: 'First Home Savings Account - Tax-free withdrawal for first home purchase',
-        maxContribution: 40000
-    },
-    rrsp: {
-        label: 'RRSP (Home Buyers\' Plan)',
-        requiresRepayment: true,
-        repaymentYears: 15,
-        isLoan: false,
-        countsTowardDownPayment: true,
-        description: 'Home Buyers\' Plan - Must repay to RRSP over 15 years (starting 2nd year after withdrawal)',
-        maxWithdrawal: 60000  // Per person as of 2024
-    },
-    tfsa: {
-        label: 'TFSA',
-        requiresRepayment: false,
-        isLoan: false,
-        countsTowardDownPayment: true,
-        description: 'Tax-Free Savings Account - No repayment required'
-    },
-    joint_account: {
-        label: 'Joint Account',
-        requiresRepayment: false,
-        isLoan: false,
-        countsTowardDownPayment: false,  // Kept separate
-        description: 'Joint savings - Kept separate from down payment (for moving costs, renovations, etc.)'
-    },
-    parents_loan: {
-        label: 'Parent\'s Loan',
-        requiresRepayment: true,
-        isLoan: true,
-        countsTowardDownPayment: true,
-        isAutoCalculated: true,
-        description: 'Loan from parents to cover the gap between your savings and required down payment'
-    },
-    other_loan: {
-        label: 'Other Loan',
-        requiresRepayment: true,
-        isLoan: true,
-        countsTowardDownPayment: false,
-        description: 'Any other loan (personal loan, line of credit, etc.)'
-    },
-    other_savings: {
-        label: 'Other Savings',
-        requiresRepayment: false,
-        isLoan: false,
-        countsTowardDownPayment: true,
-        description: 'Other savings or gifts'
-    }
-};
-
 // =============================================================================
 // STATE
 // =============================================================================
@@ -104,12 +16,33 @@ let otherDebts = [];
 let warnings = [];
 let paymentChart = null;
 let equityChart = null;
+let rentVsBuyChart = null;
+let comparisonPaymentChart = null;
+let comparisonEquityChart = null;
+let sensitivityChart = null;
+let simulationChart = null;
+let simulationWorker = null;
+let simulationResult = null;  // Latest Monte Carlo result, kept so the metric can be switched
+let amortizationSchedule = { loans: [], rows: [] };  // Latest household schedule from calculate()
+let scheduleView = { loan: 'all', page: 0 };
 let downPaymentMode = 'amount'; // 'amount' or 'percent'
+let oneTimeCostsPaidBy = null;  // Owner position paying the one-time costs, null when shared by the cost-sharing rule
+let coOwnershipSummary = null;  // Latest co-ownership result from calculate(), kept for the printable summary
 
 // Scenario management
-let scenarios = [];
+let scenarios = [];  // { label, overrides }: only the scenario inputs that differ from the baseline
 let currentScenarioIndex = 0;
 let scenarioResults = {}; // Stores calculation results for each scenario
+let householdBaseline = null;  // Scenario inputs every scenario inherits unless it overrides them
+let comparisonSettings = { baselineIndex: 0, hiddenMetrics: [] };
+
+// Inputs that describe one house and how it is financed. Owners, savings and the projection
+// assumptions belong to the household and are shared by every scenario.
+const SCENARIO_NUMBER_INPUTS = [
+    'askingPrice', 'evaluationPrice', 'offerPrice', 'squareFootage', 'downPayment',
+    'insurance', 'electricity', 'upkeep', 'cityTaxes', 'notaryFees', 'inspectionCost', 'movingBase', 'paintPerSqft',
+    'depositAmount'
+];
 
 const STORAGE_KEY = 'homeBudgetCalculator';
 
@@ -121,6 +54,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize charts first
     initChart();
     initEquityChart();
+    initRentVsBuyChart();
+    initComparisonCharts();
+    initSensitivityChart();
+    initSimulationChart();
+    renderProvinceOptions();
+    setJurisdictionInputs(DEFAULT_JURISDICTION.province, DEFAULT_JURISDICTION.municipality);
 
     // Load and display formulas
     loadFormulas();
@@ -142,6 +81,7 @@ document.addEventListener('DOMContentLoaded', () => {
         addOwner('Person 1');
 
         // Add default scenario
+        householdBaseline = getScenarioInputs();
         addScenario(500000, 'CA$500,000');
     } else if (loadedFromUrl) {
         // URL data was saved to localStorage, now load it into UI
@@ -161,181 +101,153 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // =============================================================================
-// CALCULATION FUNCTIONS (matching formulas.py)
+// UI UPDATE FUNCTIONS
 // =============================================================================
 
-function calculateLtv(purchasePrice, downPayment) {
-    if (purchasePrice <= 0) return 0;
-    return (purchasePrice - downPayment) / purchasePrice;
-}
-
-function getCmhcRate(ltv, is30Year = false) {
-    let rate = 0;
-    for (const bracket of CMHC_RATES) {
-        if (ltv <= bracket.maxLtv) {
-            rate = bracket.rate;
-            break;
-        }
-    }
-    if (is30Year) rate += CMHC_30_YEAR_SURCHARGE;
-    return rate;
+function getInputValue(id) {
+    const el = document.getElementById(id);
+    return el ? parseFloat(el.value) || 0 : 0;
 }
 
-function calculateCmhc(purchasePrice, downPayment, is30Year = false) {
-    const mortgageAmount = purchasePrice - downPayment;
-    const ltv = calculateLtv(purchasePrice, downPayment);
-    const downPaymentPercent = purchasePrice > 0 ? (downPayment / purchasePrice) * 100 : 0;
-    const cmhcRequired = ltv > 0.80;
-
-    const premiumRate = getCmhcRate(ltv, is30Year);
-    const cmhcPremium = cmhcRequired ? mortgageAmount * premiumRate : 0;
-    const quebecTax = cmhcPremium * QUEBEC_TVQ_RATE;
-    const totalCmhcCost = cmhcPremium + quebecTax;
-    const totalMortgage = mortgageAmount + totalCmhcCost;
+/**
+ * Snapshot of one financing source as the calculation core expects it, read from its inputs.
+ */
+function readFinancingSourceState(index) {
+    const source = financingSources[index];
+    const sourceType = source.sourceType || document.getElementById(`financing-type-${index}`)?.value;
+    const typeConfig = FINANCING_TYPES[sourceType];
 
-    return {
-        mortgageAmount,
-        ltv,
-        ltvPercent: ltv * 100,
-        downPaymentPercent,
-        cmhcRequired,
-        premiumRate,
-        premiumRatePercent: premiumRate * 100,
-        cmhcPremium,
-        quebecTax,
-        totalCmhcCost,
-        totalMortgage
+    const state = {
+        ...serializeFinancingSource(source),
+        index,
+        sourceType,
+        amount: getInputValue(`financing-amount-${index}`)
     };
-}
-
-function calculateMonthlyPayment(principal, annualRate, termMonths) {
-    if (principal <= 0 || termMonths <= 0) {
-        return { monthlyPayment: 0, totalPayments: 0, totalInterest: 0 };
-    }
-
-    const monthlyRate = (annualRate / 100) / 12;
-
-    if (monthlyRate === 0) {
-        return {
-            monthlyPayment: principal / termMonths,
-            totalPayments: principal,
-            totalInterest: 0
-        };
-    }
-
-    // M = P × [r(1+r)^n] / [(1+r)^n - 1]
-    const rateFactor = Math.pow(1 + monthlyRate, termMonths);
-    const monthlyPayment = principal * (monthlyRate * rateFactor) / (rateFactor - 1);
-    const totalPayments = monthlyPayment * termMonths;
-    const totalInterest = totalPayments - principal;
-
-    return { monthlyPayment, totalPayments, totalInterest, monthlyRate };
-}
-
-function calculatePaymentBreakdown(principal, annualRate, monthlyPayment, currentBalance = null) {
-    const balance = currentBalance !== null ? currentBalance : principal;
-    const monthlyRate = (annualRate / 100) / 12;
-    const interestPortion = balance * monthlyRate;
-    const principalPortion = monthlyPayment - interestPortion;
-
-    return { interestPortion, principalPortion };
-}
 
-function calculateWelcomeTax(purchasePrice) {
-    let totalTax = 0;
-    let remaining = purchasePrice;
-    let previousThreshold = 0;
-    const breakdown = [];
-
-    for (const bracket of QUEBEC_WELCOME_TAX_BRACKETS) {
-        const bracketMax = bracket.threshold - previousThreshold;
-        const amountInBracket = Math.min(remaining, bracketMax);
-
-        if (amountInBracket > 0) {
-            const taxInBracket = amountInBracket * bracket.rate;
-            breakdown.push({
-                from: previousThreshold,
-                to: Math.min(bracket.threshold, purchasePrice),
-                rate: bracket.rate,
-                amount: amountInBracket,
-                tax: taxInBracket
-            });
-            totalTax += taxInBracket;
-            remaining -= amountInBracket;
-        }
-
-        previousThreshold = bracket.threshold;
-        if (remaining <= 0) break;
+    if (typeConfig?.hasContributionRoom) {
+        state.fhsaOpenedYear = getInputValue(`financing-fhsa-opened-${index}`);
+        state.fhsaBalance = getInputValue(`financing-fhsa-balance-${index}`);
+        state.fhsaContributed = getInputValue(`financing-fhsa-contributed-${index}`);
+        state.fhsaAnnualContribution = getInputValue(`financing-fhsa-contribution-${index}`);
+        state.fhsaReturn = getInputValue(`financing-fhsa-return-${index}`);
+        state.fhsaTaxRate = getInputValue(`financing-fhsa-tax-rate-${index}`);
+    } else if (typeConfig && followsSavingsPlan(typeConfig)) {
+        state.planBalance = getInputValue(`financing-plan-balance-${index}`);
+        state.planMonthlyContribution = getInputValue(`financing-plan-contribution-${index}`);
+        state.planReturn = getInputValue(`financing-plan-return-${index}`);
     }
-
-    return { breakdown, totalTax };
-}
-
-function calculateAffordability(totalMonthlyCosts, grossMonthlyIncome) {
-    if (grossMonthlyIncome <= 0) {
-        return { ratio: 0, percent: 0, status: 'unknown', statusColor: 'gray' };
+    if (!typeConfig?.isLoan) return state;
+
+    state.rate = getInputValue(`financing-rate-${index}`);
+    state.termMonths = getInputValue(`financing-term-${index}`) * 12;
+    state.compounding = document.getElementById(`financing-compounding-${index}`)?.value
+        || source.compounding || typeConfig.defaultCompounding || 'monthly';
+    state.termLengthMonths = getInputValue(`financing-term-length-${index}`) * 12;
+    state.rateType = document.getElementById(`financing-rate-type-${index}`)?.value || source.rateType || 'fixed';
+    state.lumpSum = getInputValue(`financing-lump-sum-${index}`);
+    state.privilegePercent = document.getElementById(`financing-privilege-${index}`)?.value
+        ? getInputValue(`financing-privilege-${index}`)
+        : DEFAULT_PREPAYMENT_PRIVILEGE;
+    state.paymentIncreasePercent = getInputValue(`financing-payment-increase-${index}`);
+    state.paymentFrequency = document.getElementById(`financing-frequency-${index}`)?.value || source.paymentFrequency || 'monthly';
+
+    if (typeConfig.isVariableRate) {
+        state.primeRate = getInputValue(`financing-prime-${index}`);
+        state.primeSpread = getInputValue(`financing-spread-${index}`);
+        state.paymentType = document.getElementById(`financing-payment-type-${index}`)?.value || 'fixed';
+        state.startDate = document.getElementById(`financing-start-${index}`)?.value || getCurrentYearMonth();
     }
 
-    const ratio = totalMonthlyCosts / grossMonthlyIncome;
-    const percent = ratio * 100;
-
-    let status, statusColor;
-    if (percent <= 30) {
-        status = 'Affordable';
-        statusColor = 'green';
-    } else if (percent <= 40) {
-        status = 'Caution';
-        statusColor = 'yellow';
-    } else {
-        status = 'High Risk';
-        statusColor = 'red';
+    if (typeConfig.hasFamilyTerms) {
+        state.isGift = document.getElementById(`financing-gift-${index}`)?.checked || false;
+        state.deferralMonths = getInputValue(`financing-deferral-${index}`);
+        state.interestOnlyMonths = getInputValue(`financing-interest-only-${index}`);
+        state.balloonOnSale = document.getElementById(`financing-balloon-${index}`)?.checked || false;
+        state.forgivenessAmount = getInputValue(`financing-forgiveness-${index}`);
+        state.forgivenessYears = getInputValue(`financing-forgiveness-years-${index}`);
     }
 
-    return { ratio, percent, status, statusColor };
+    return state;
 }
 
-// =============================================================================
-// UI UPDATE FUNCTIONS
-// =============================================================================
-
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-CA', {
-        style: 'currency',
-        currency: 'CAD',
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0
-    }).format(amount);
+/**
+ * Inputs shared by every scenario: owners (with their live incomes and debts), the
+ * qualification settings and the projection assumptions.
+ */
+function readHouseholdState() {
+    return {
+        owners: owners.map((owner, index) => owner && {
+            index,
+            name: owner.name,
+            income: getInputValue(`owner-income-${index}`),
+            carLoan: getInputValue(`owner-car-${index}`),
+            studentLoan: getInputValue(`owner-student-${index}`),
+            personalLoan: getInputValue(`owner-personal-${index}`),
+            creditCard: getInputValue(`owner-credit-${index}`),
+            ownershipPercent: getInputValue(`owner-ownership-${index}`)
+        }).filter(owner => owner),
+        firstTimeBuyer: document.getElementById('firstTimeBuyer')?.checked || false,
+        savingsPlan: isSavingsPlanOn(),
+        costSharing: document.getElementById('costSharing')?.value || 'income',
+        oneTimeCostsPaidBy,
+        stressTest: document.getElementById('stressTest')?.checked || false,
+        limits: {
+            gds: getInputValue('targetGds') || GDS_QUALIFYING_LIMIT,
+            tds: getInputValue('targetTds') || TDS_QUALIFYING_LIMIT
+        },
+        appreciation: {
+            rate: getInputValue('appreciationRate'),
+            series: parseNumberList(document.getElementById('appreciationSeries')?.value),
+            spread: getInputValue('appreciationSpread'),
+            showBands: document.getElementById('showAppreciationBands')?.checked || false,
+            sellingCostPercent: getInputValue('sellingCostPercent'),
+            horizons: parseNumberList(document.getElementById('equityHorizons')?.value)
+        },
+        rent: getInputValue('currentRent'),
+        rentEscalation: getInputValue('rentEscalation'),
+        investmentReturn: getInputValue('investmentReturn')
+    };
 }
 
-function formatPercent(value, decimals = 1) {
-    return value.toFixed(decimals) + '%';
-}
+/**
+ * Full calculation state for the form as it is on screen.
+ */
+function readCalculationState() {
+    const state = readHouseholdState();
+    SCENARIO_NUMBER_INPUTS.forEach(id => {
+        state[id] = getInputValue(id);
+    });
 
-function getInputValue(id) {
-    const el = document.getElementById(id);
-    return el ? parseFloat(el.value) || 0 : 0;
+    state.closingDate = document.getElementById('closingDate').value;
+    state.province = document.getElementById('province').value;
+    state.municipality = document.getElementById('municipality').value;
+    state.downPaymentMode = downPaymentMode;
+    state.is30Year = document.getElementById('is30Year')?.checked || false;
+    state.isNewBuild = document.getElementById('isNewBuild')?.checked || false;
+    state.renovations = renovations.filter(r => r !== null).map(r => ({
+        description: r.description,
+        amount: r.amount,
+        paidBy: r.paidBy
+    }));
+    state.financingSources = financingSources
+        .map((source, index) => source && readFinancingSourceState(index))
+        .filter(source => source);
+
+    return state;
 }
 
 function calculate() {
-    // Gather all input values
-    const askingPrice = getInputValue('askingPrice');
-    const evaluationPrice = getInputValue('evaluationPrice');
-    const offerPrice = getInputValue('offerPrice');
-    const squareFootage = getInputValue('squareFootage');
-    const downPayment = getDownPaymentAmount();
-    const is30Year = document.getElementById('is30Year')?.checked || false;
+    const state = readCalculationState();
+    const results = calculateScenario(state);
+
+    const { askingPrice, evaluationPrice, offerPrice, squareFootage } = state;
+    const { downPayment, cmhc, welcomeTax, totalOneTime, cityTaxesMonthly, totalMonthlyLoanPayment, totalMonthlyCosts } = results;
 
     // Update down payment converted display when offer price changes
     updateDownPaymentConverted();
 
-    const insurance = getInputValue('insurance');
-    const electricity = getInputValue('electricity');
-    const upkeep = getInputValue('upkeep');
-    const cityTaxesAnnual = getInputValue('cityTaxes');
-
-    const notaryFees = getInputValue('notaryFees');
-    const movingBase = getInputValue('movingBase');
-    const paintPerSqft = getInputValue('paintPerSqft');
+    updateJurisdictionLabels(results.jurisdiction);
+    updateRegulatoryRulesDisplay(results.regulatoryRules);
 
     // === PROPERTY PRICING ===
     if (askingPrice > 0 && offerPrice > 0) {
@@ -350,17 +262,17 @@ function calculate() {
     }
 
     // === CMHC ===
-    const cmhc = calculateCmhc(offerPrice, downPayment, is30Year);
-
-    // === AUTO-FILL BANK MORTGAGE (first financing source) ===
+    // Auto-fill bank mortgage (first financing source)
     updateBankMortgageAmount(cmhc.totalMortgage);
 
     if (offerPrice > 0 && downPayment > 0) {
         document.getElementById('downPaymentPercent').textContent = formatPercent(cmhc.downPaymentPercent);
         document.getElementById('ltvRatio').textContent = formatPercent(cmhc.ltvPercent);
-        document.getElementById('premiumRate').textContent = cmhc.cmhcRequired ? formatPercent(cmhc.premiumRatePercent, 2) : 'N/A (≥20% down)';
+        document.getElementById('premiumRate').textContent = !cmhc.cmhcRequired
+            ? 'N/A (≥20% down)'
+            : cmhc.insurable ? formatPercent(cmhc.premiumRatePercent, 2) : 'Not insurable';
         document.getElementById('cmhcPremium').textContent = formatCurrency(cmhc.cmhcPremium);
-        document.getElementById('quebecTax').textContent = formatCurrency(cmhc.quebecTax);
+        document.getElementById('premiumSalesTax').textContent = formatCurrency(cmhc.premiumSalesTax);
         document.getElementById('totalCmhc').textContent = formatCurrency(cmhc.totalCmhcCost);
         document.getElementById('totalMortgage').textContent = formatCurrency(cmhc.totalMortgage);
         document.getElementById('cmhcDisplay').classList.remove('hidden');
@@ -369,261 +281,161 @@ function calculate() {
     }
 
     // === CITY TAXES MONTHLY ===
-    const cityTaxesMonthly = cityTaxesAnnual / 12;
-    document.getElementById('cityTaxesMonthly').textContent = cityTaxesAnnual > 0 ? `= ${formatCurrency(cityTaxesMonthly)}/mo` : '';
+    document.getElementById('cityTaxesMonthly').textContent = state.cityTaxes > 0 ? `= ${formatCurrency(cityTaxesMonthly)}/mo` : '';
 
-    // === WELCOME TAX ===
-    const welcomeTax = calculateWelcomeTax(offerPrice);
+    // === ONE-TIME COSTS ===
     document.getElementById('welcomeTaxDisplay').textContent = formatCurrency(welcomeTax.totalTax);
-
-    // === MOVING COSTS ===
-    const paintTotal = squareFootage * paintPerSqft;
-    document.getElementById('paintTotal').textContent = formatCurrency(paintTotal);
-    const totalMovingCost = movingBase + paintTotal;
-
-    // === RENOVATIONS TOTAL ===
-    const totalRenovations = renovations.filter(r => r !== null).reduce((sum, r) => sum + (r.amount || 0), 0);
-
-    // === ONE-TIME COSTS TOTAL ===
-    const totalOneTime = welcomeTax.totalTax + notaryFees + totalMovingCost + totalRenovations;
+    updateWelcomeTaxBreakdown(welcomeTax);
+    document.getElementById('paintTotal').textContent = formatCurrency(results.paintTotal);
     document.getElementById('oneTimeTotal').textContent = formatCurrency(totalOneTime);
 
     // === FINANCING SOURCES ===
-    // First pass: Read all amounts and calculate savings toward down payment
-    // (must process ALL sources before calculating parent's loan gap)
-    let totalSavingsForDownPayment = 0;
-    warnings = [];  // Reset warnings
-
-    financingSources.forEach((source, index) => {
-        if (!source) return;
-
-        const sourceType = source.sourceType || document.getElementById(`financing-type-${index}`)?.value;
-        const typeConfig = FINANCING_TYPES[sourceType];
-
-        // For auto-calculated sources (parent's loan), skip reading amount - it will be set below
-        // For auto-fill mortgage, use source.amount (set by CMHC calculation)
-        // For all others, read from input
-        let amount;
-        if (typeConfig?.isAutoCalculated) {
-            // Skip - will be calculated after we know the gap
-            amount = 0;
-        } else if (source.isAutoFillMortgage) {
-            amount = source.amount;
-        } else {
-            amount = getInputValue(`financing-amount-${index}`);
+    warnings = results.warnings;
+    updateParentsLoanAmount(results.cashGap);
+
+    results.sources.forEach(result => {
+        const { index, ...fields } = result;
+        const source = financingSources[index];
+        const typeConfig = FINANCING_TYPES[result.sourceType];
+        Object.assign(source, fields);
+
+        if (typeConfig?.isVariableRate) {
+            const rateInput = document.getElementById(`financing-rate-${index}`);
+            if (rateInput) rateInput.value = result.rate ? result.rate.toFixed(2) : '';
         }
-
-        source.amount = amount;
-        source.sourceType = sourceType;
-
-        // Sum up savings that count toward down payment (excluding auto-calculated like parent's loan)
-        if (typeConfig && typeConfig.countsTowardDownPayment && !typeConfig.isAutoCalculated && amount > 0) {
-            totalSavingsForDownPayment += amount;
-
-            // Check for RRSP warnings
-            if (sourceType === 'rrsp' && amount > 0) {
-                if (amount > FINANCING_TYPES.rrsp.maxWithdrawal) {
-                    warnings.push({
-                        type: 'warning',
-                        source: 'RRSP',
-                        message: `Maximum HBP withdrawal is ${formatCurrency(FINANCING_TYPES.rrsp.maxWithdrawal)} per person. You may need to reduce this amount.`
-                    });
-                }
-            }
-
-            // Check CELIAPP max
-            if (sourceType === 'celiapp' && amount > FINANCING_TYPES.celiapp.maxContribution) {
-                warnings.push({
-                    type: 'warning',
-                    source: 'CELIAPP',
-                    message: `Maximum CELIAPP contribution is ${formatCurrency(FINANCING_TYPES.celiapp.maxContribution)}. Amount exceeds limit.`
-                });
-            }
+        if (result.isProjected) {
+            const amountInput = document.getElementById(`financing-amount-${index}`);
+            if (amountInput) amountInput.value = result.amount > 0 ? Math.round(result.amount) : '';
         }
-    });
-
-    // NOW calculate parent's loan (gap between savings and total cash needed)
-    // Total cash needed = down payment + renovations + one-time costs
-    const totalCashNeeded = downPayment + totalRenovations + totalOneTime;
-    const cashGap = Math.max(0, totalCashNeeded - totalSavingsForDownPayment);
-    
-    // Debug logging (can be removed later)
-    console.log('Parent Loan Calculation Debug:');
-    console.log('  Down Payment:', formatCurrency(downPayment));
-    console.log('  Total Renovations:', formatCurrency(totalRenovations));
-    console.log('  Total One-Time Costs:', formatCurrency(totalOneTime));
-    console.log('  Total Cash Needed:', formatCurrency(totalCashNeeded));
-    console.log('  Available Savings:', formatCurrency(totalSavingsForDownPayment));
-    console.log('  Parent Loan Needed:', formatCurrency(cashGap));
-    
-    updateParentsLoanAmount(cashGap);
-
-    // Second pass: Calculate loan payments
-    let totalMonthlyLoanPayment = 0;
-    let totalInterestFirstMonth = 0;
-    let totalPrincipalFirstMonth = 0;
-    const loanPaymentDetails = [];
-    let rrspMonthlyRepayment = 0;
-
-    financingSources.forEach((source, index) => {
-        if (!source) return;
-
-        const sourceType = source.sourceType;
-        const typeConfig = FINANCING_TYPES[sourceType];
-        const amount = source.amount;
-
-        if (!typeConfig) return;
-
-        // Handle loans (mortgage, parent's loan, other loans)
-        if (typeConfig.isLoan && amount > 0) {
-            const rate = getInputValue(`financing-rate-${index}`);
-            const termYears = getInputValue(`financing-term-${index}`);
-            const termMonths = termYears * 12;
-
-            source.rate = rate;
-            source.termMonths = termMonths;
-
-            const payment = calculateMonthlyPayment(amount, rate, termMonths);
-            const breakdown = calculatePaymentBreakdown(amount, rate, payment.monthlyPayment);
-
-            source.monthlyPayment = payment.monthlyPayment;
-            source.interestPortion = breakdown.interestPortion;
-            source.principalPortion = breakdown.principalPortion;
-
-            if (payment.monthlyPayment > 0) {
-                totalMonthlyLoanPayment += payment.monthlyPayment;
-                totalInterestFirstMonth += breakdown.interestPortion;
-                totalPrincipalFirstMonth += breakdown.principalPortion;
-
-                loanPaymentDetails.push({
-                    name: source.name,
-                    sourceType: sourceType,
-                    interest: breakdown.interestPortion,
-                    principal: breakdown.principalPortion,
-                    amount: amount,
-                    rate: rate,
-                    termMonths: termMonths,
-                    monthlyPayment: payment.monthlyPayment
-                });
-            }
-
-            // Update display
-            const paymentDisplay = document.getElementById(`financing-payment-${index}`);
-            if (paymentDisplay) {
-                if (payment.monthlyPayment > 0) {
-                    paymentDisplay.textContent = `Monthly: ${formatCurrency(payment.monthlyPayment)}`;
-                } else if (termMonths === 0) {
-                    paymentDisplay.textContent = 'Enter term to calculate payment';
-                } else {
-                    paymentDisplay.textContent = '';
-                }
-            }
-        } else if (sourceType === 'rrsp' && amount > 0) {
-            // RRSP repayment (not a traditional loan, but needs repayment to RRSP)
-            rrspMonthlyRepayment = (amount / 15) / 12;  // Annual divided by 12
 
-            const paymentDisplay = document.getElementById(`financing-payment-${index}`);
-            if (paymentDisplay) {
-                paymentDisplay.innerHTML = `<span class="text-orange-600">RRSP repayment: ${formatCurrency(rrspMonthlyRepayment)}/mo (${formatCurrency(amount / 15)}/yr for 15 yrs)</span>`;
+        const paymentDisplay = document.getElementById(`financing-payment-${index}`);
+        if (!paymentDisplay || !typeConfig) return;
+
+        if (result.isGift && typeConfig.hasFamilyTerms && result.amount > 0) {
+            paymentDisplay.innerHTML = '<span class="text-green-700">Gift: never repaid, left out of TDS (gift letter required)</span>';
+        } else if (typeConfig.isLoan && result.amount > 0) {
+            const { periodicPayment, monthlyPayment } = result;
+            const plan = getPrepaymentPlan(result);
+            // Family loans with flexible terms are paid monthly
+            const isMonthlyFamilyLoan = typeConfig.hasFamilyTerms && hasFamilyLoanTerms(getFamilyLoanTerms(result));
+            const frequency = getPaymentFrequency(isMonthlyFamilyLoan ? 'monthly' : result.paymentFrequency);
+            // Accelerated payments qualify at the regular payment; the extra is a prepayment
+            const paymentText = frequency.periodsPerYear === 12
+                ? `Monthly: ${formatCurrency(periodicPayment)}`
+                : `${frequency.label}: ${formatCurrency(periodicPayment)} (≈ ${formatCurrency(monthlyPayment)}/mo${frequency.baseFrequency ? ' regular, the rest prepays principal' : ''})`;
+            const familyTermsText = typeConfig.hasFamilyTerms ? describeFamilyLoanTerms(result) : '';
+            if (monthlyPayment > 0 && plan.paymentFactor !== 1) {
+                paymentDisplay.textContent = `${paymentText}, paying ${formatCurrency(periodicPayment * plan.paymentFactor)} with prepayments${familyTermsText}`;
+            } else if (monthlyPayment > 0) {
+                paymentDisplay.textContent = `${paymentText}${familyTermsText}`;
+            } else if (result.termMonths === 0) {
+                paymentDisplay.textContent = 'Enter term to calculate payment';
+            } else {
+                paymentDisplay.textContent = '';
             }
+        } else if (result.sourceType === 'rrsp' && result.amount > 0) {
+            // HBP repayment (not a traditional loan, but the owner repays their RRSP)
+            const { startYear } = results.hbpRepayment;
+            const hbpOwner = results.hbpRepayment.owners.find(owner => owner.sourceIndexes.includes(index));
+            const repaymentYears = typeConfig.repaymentYears;
+            const missedText = hbpOwner.includedInIncome > 0
+                ? `; ${formatCurrency(hbpOwner.includedInIncome)} added to ${hbpOwner.name}'s taxable income for missed years`
+                : '';
+            paymentDisplay.innerHTML = `<span class="text-orange-600">HBP repayment by ${hbpOwner.name}: ${formatCurrency(result.amount / repaymentYears)}/yr from ${startYear} to ${startYear + repaymentYears - 1}${missedText}</span>`;
+        } else if (typeConfig.hasContributionRoom && result.amount > 0) {
+            // CELIAPP projected to closing, with the refund from deducting the planned contributions
+            const { fhsa } = result;
+            const planned = fhsa.years.reduce((sum, year) => sum + year.contribution, 0);
+            const plannedText = planned > 0
+                ? ` (incl. ${formatCurrency(planned)} more contributions; tax refund ${formatCurrency(fhsa.taxRefund)})`
+                : '';
+            paymentDisplay.innerHTML = `<span class="text-green-700">Projected at closing, applied to down payment${plannedText}; ${formatCurrency(fhsa.totalContributed)} contributed in all</span>`;
+        } else if (result.sourceType === 'joint_account') {
+            paymentDisplay.textContent = 'Kept separate (not for down payment)';
+        } else if (typeConfig.countsTowardDownPayment) {
+            const applied = result.isProjected ? 'Projected at closing, applied to down payment' : 'Applied to down payment';
+            paymentDisplay.textContent = result.amount > 0 ? applied : '';
         } else {
-            // Non-loan sources
-            const paymentDisplay = document.getElementById(`financing-payment-${index}`);
-            if (paymentDisplay) {
-                if (sourceType === 'joint_account') {
-                    paymentDisplay.textContent = 'Kept separate (not for down payment)';
-                } else if (typeConfig.countsTowardDownPayment) {
-                    paymentDisplay.textContent = amount > 0 ? 'Applied to down payment' : '';
-                } else {
-                    paymentDisplay.textContent = '';
-                }
-            }
+            paymentDisplay.textContent = '';
         }
     });
 
-    // Add RRSP repayment warning to monthly budget considerations
-    // RRSP repayment is now shown in the payment breakdown chart, no warning needed
-
-    // Update warnings display
-    updateWarningsDisplay();
-
-    // === MONTHLY COSTS ===
-    const totalMonthlyCosts = totalMonthlyLoanPayment + insurance + electricity + upkeep + cityTaxesMonthly;
-
     // === TOTAL INCOME & PER-PERSON DEBTS ===
-    let totalGrossIncome = 0;
-    let totalOtherDebtPayments = 0;
-    const ownerData = [];
-
-    owners.forEach((owner, index) => {
-        if (owner === null) return;
-
-        const income = getInputValue(`owner-income-${index}`);
-        const carLoan = getInputValue(`owner-car-${index}`);
-        const studentLoan = getInputValue(`owner-student-${index}`);
-        const personalLoan = getInputValue(`owner-personal-${index}`);
-        const creditCard = getInputValue(`owner-credit-${index}`);
-        const totalDebts = carLoan + studentLoan + personalLoan + creditCard;
-
-        owner.income = income;
-        owner.carLoanPayment = carLoan;
-        owner.studentLoanPayment = studentLoan;
-        owner.personalLoanPayment = personalLoan;
-        owner.creditCardPayment = creditCard;
-
-        totalGrossIncome += income;
-        totalOtherDebtPayments += totalDebts;
+    results.ownerData.forEach(data => {
+        const owner = owners[data.index];
+        owner.income = data.income;
+        owner.carLoanPayment = data.carLoan;
+        owner.studentLoanPayment = data.studentLoan;
+        owner.personalLoanPayment = data.personalLoan;
+        owner.creditCardPayment = data.creditCard;
+        owner.ownershipPercent = data.ownershipPercent;
 
         // Update per-person debt total display
-        const debtsTotalEl = document.getElementById(`owner-debts-total-${index}`);
+        const debtsTotalEl = document.getElementById(`owner-debts-total-${data.index}`);
         if (debtsTotalEl) {
-            debtsTotalEl.textContent = totalDebts > 0 ? formatCurrency(totalDebts) + '/mo' : '$0/mo';
+            debtsTotalEl.textContent = data.totalDebts > 0 ? formatCurrency(data.totalDebts) + '/mo' : '$0/mo';
         }
-
-        ownerData.push({
-            index,
-            name: owner.name,
-            income,
-            totalDebts,
-            carLoan,
-            studentLoan,
-            personalLoan,
-            creditCard
-        });
     });
 
-    document.getElementById('totalIncome').textContent = formatCurrency(totalGrossIncome);
-    document.getElementById('totalOtherDebtPayments').textContent = formatCurrency(totalOtherDebtPayments) + '/mo';
+    document.getElementById('totalIncome').textContent = formatCurrency(results.totalGrossIncome);
+    document.getElementById('totalOtherDebtPayments').textContent = formatCurrency(results.totalOtherDebtPayments) + '/mo';
+
+    // === WHAT CAN WE AFFORD? ===
+    updateAffordabilitySolverDisplay(results.affordabilitySolution);
 
     // === AFFORDABILITY ===
     updateAffordabilityBars({
         totalMonthlyCosts,
-        totalGrossIncome,
-        mortgagePayment: totalMonthlyLoanPayment,
+        totalGrossIncome: results.totalGrossIncome,
+        mortgagePayment: results.stressTest ? results.stressTest.qualifyingLoanPayment : totalMonthlyLoanPayment,
         propertyTax: cityTaxesMonthly,
-        heating: electricity,  // Using electricity as proxy for heating
-        otherDebtPayments: totalOtherDebtPayments,
-        ownerData,
-        rrspMonthlyRepayment
+        heating: state.electricity,  // Using electricity as proxy for heating
+        otherDebtPayments: results.totalOtherDebtPayments,
+        ownerData: results.ownerData,
+        rrspMonthlyRepayment: results.rrspMonthlyRepayment,
+        stressTest: results.stressTest
     });
 
     document.getElementById('totalMonthlyCosts').textContent = formatCurrency(totalMonthlyCosts);
-    document.getElementById('totalGrossIncome').textContent = formatCurrency(totalGrossIncome);
+    document.getElementById('totalGrossIncome').textContent = formatCurrency(results.totalGrossIncome);
 
     // === UPDATE CHARTS ===
+    amortizationSchedule = results.schedule;
+    updateLoanScheduleSummaries(amortizationSchedule);
+
+    // Update warnings display
+    updateWarningsDisplay();
+
     updateChart({
-        loanPaymentDetails,
-        insurance,
-        electricity,
-        upkeep,
+        loanPaymentDetails: results.loanPaymentDetails,
+        schedule: amortizationSchedule,
+        insurance: state.insurance,
+        electricity: state.electricity,
+        upkeep: state.upkeep,
         cityTaxes: cityTaxesMonthly,
-        rrspMonthlyRepayment
+        rrspMonthlyRepayment: results.rrspMonthlyRepayment,
+        hbpRepayment: results.hbpRepayment,
+        closingDate: results.closingDate
     });
 
-    updateEquityChart({
-        propertyValue: offerPrice,
-        loanPaymentDetails
-    });
+    updateEquityChart(results.equityProjection);
+
+    // === CO-OWNERSHIP ===
+    updateCoOwnershipDisplay(results.coOwnership, state.appreciation);
+
+    // === SAVINGS PLAN ===
+    updateSavingsPlanDisplay(results.savingsPlan);
+
+    // === CASH-FLOW TIMELINE ===
+    renderCashFlowTimeline(results.cashFlowTimeline);
+
+    // === RENT VS BUY ===
+    updateRentVsBuy(results.rentVsBuy);
+
+    // === SENSITIVITY ===
+    updateSensitivity(state, results);
+
+    renderScheduleTable();
 
     // === UPDATE SUMMARY ===
     document.getElementById('summaryPurchasePrice').textContent = formatCurrency(offerPrice);
@@ -633,6 +445,15 @@ function calculate() {
     document.getElementById('summaryOneTime').textContent = formatCurrency(totalOneTime);
     document.getElementById('summaryTotalCash').textContent = formatCurrency(downPayment + totalOneTime);
     document.getElementById('summaryMonthlyLoan').textContent = formatCurrency(totalMonthlyLoanPayment);
+    document.getElementById('summaryLifetimeInterest').textContent = formatCurrency(results.lifetimeInterest);
+
+    // Prepayment savings (payoff date assumes the first payment is the month after closing)
+    const savings = results.prepaymentSavings;
+    const monthsSaved = savings.baselinePayoffMonths - savings.payoffMonths;
+    document.getElementById('summaryInterestSaved').textContent = formatCurrency(savings.interestSaved);
+    document.getElementById('summaryPayoffDate').textContent = savings.payoffMonths > 0
+        ? `${formatYearMonth(addMonthsToYearMonth(results.closingDate.slice(0, 7), savings.payoffMonths))}${monthsSaved > 0 ? ` (${formatMonthsDuration(monthsSaved)} sooner)` : ''}`
+        : '-';
     document.getElementById('summaryMonthlyTotal').textContent = formatCurrency(totalMonthlyCosts);
 }
 
@@ -651,12 +472,13 @@ function getStatusClasses(color) {
 // =============================================================================
 
 function updateAffordabilityBars(data) {
-    const { totalMonthlyCosts, totalGrossIncome, mortgagePayment, propertyTax, heating, otherDebtPayments, ownerData, rrspMonthlyRepayment } = data;
+    const { totalMonthlyCosts, totalGrossIncome, mortgagePayment, propertyTax, heating, otherDebtPayments, ownerData, rrspMonthlyRepayment, stressTest } = data;
 
     if (totalGrossIncome <= 0) {
         // Reset all indicators
         updateBar('housingCost', 0, '-');
         updatePerPersonRatios();
+        updateStressTestDisplay(null);
         return;
     }
 
@@ -670,10 +492,96 @@ function updateAffordabilityBars(data) {
     // Housing costs are shared proportionally based on income contribution
     const gdsHousingCosts = mortgagePayment + propertyTax + heating;
 
-    updatePerPersonRatios(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment);
+    updatePerPersonRatios(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment, stressTest);
+
+    // 3. Stress test verdict for the household
+    updateStressTestDisplay(stressTest ? {
+        ...stressTest,
+        ...checkQualification(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment)
+    } : null);
+}
+
+function updateAffordabilitySolverDisplay(solution) {
+    const container = document.getElementById('affordabilitySolverResult');
+    if (!container) return;
+
+    if (!solution) {
+        container.innerHTML = '<p class="text-gray-500">Enter household income and the bank mortgage rate and term to find your maximum price.</p>';
+        return;
+    }
+
+    const { maxPrice, result, binding } = solution;
+    const limits = solution.limits || DEFAULT_QUALIFYING_LIMITS;
+    const bindingText = binding ? BINDING_CONSTRAINT_LABELS[binding] : 'None (search limit reached)';
+
+    container.innerHTML = `
+        <div class="flex justify-between items-baseline">
+            <span class="text-gray-700 font-medium">Maximum affordable price at your targets (GDS ${formatPercent(limits.gds)}, TDS ${formatPercent(limits.tds)}):</span>
+            <span class="text-xl font-bold text-indigo-700">${formatCurrency(maxPrice)}</span>
+        </div>
+        <div class="flex justify-between mt-1">
+            <span class="text-gray-600">Binding constraint:</span>
+            <span class="font-semibold text-gray-800">${bindingText}</span>
+        </div>
+        <div class="grid grid-cols-2 gap-2 mt-3 pt-3 border-t border-indigo-200 text-xs text-gray-600">
+            <div>Down payment: <span class="font-medium">${formatCurrency(result.downPayment)}</span></div>
+            <div>Total mortgage: <span class="font-medium">${formatCurrency(Math.max(0, result.totalMortgage))}</span></div>
+            <div>Transfer tax: <span class="font-medium">${formatCurrency(result.welcomeTax)}</span></div>
+            <div>Cash needed: <span class="font-medium">${formatCurrency(result.totalCashNeeded)}</span></div>
+            <div>Parent's loan: <span class="font-medium">${formatCurrency(result.parentsLoanAmount)}</span></div>
+            <div>Mortgage payment: <span class="font-medium">${formatCurrency(result.mortgagePayment)}/mo</span></div>
+            <div>Household GDS: <span class="font-medium">${formatPercent(result.householdGds)}</span></div>
+            <div>Household TDS: <span class="font-medium">${formatPercent(result.householdTds)}</span></div>
+        </div>
+        <button onclick="applyAffordablePrice(${maxPrice})"
+            class="mt-3 text-sm text-indigo-600 hover:text-indigo-800 px-3 py-1 border border-indigo-300 rounded hover:border-indigo-500 hover:bg-indigo-50">
+            Use this offer price
+        </button>
+    `;
+}
+
+function applyAffordablePrice(price) {
+    document.getElementById('offerPrice').value = price;
+    calculate();
+    saveToStorage();
+}
+
+function getQualificationBadge(qualifies) {
+    return qualifies
+        ? '<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Qualifies</span>'
+        : '<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Does not qualify</span>';
+}
+
+function updateStressTestDisplay(result) {
+    const container = document.getElementById('stressTestResult');
+    if (!container) return;
+
+    if (!result) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const rateText = result.qualifyingRate !== null ? formatPercent(result.qualifyingRate, 2) : '--';
+    const maxPriceText = result.maxPurchasePrice === null ? '--' : formatCurrency(result.maxPurchasePrice);
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center">
+            <span class="text-gray-600">Household at ${rateText}:</span>
+            ${getQualificationBadge(result.qualifies)}
+        </div>
+        <div class="text-xs text-gray-500 mt-1">
+            GDS ${formatPercent(result.householdGds)} (max ${GDS_QUALIFYING_LIMIT}%) · TDS ${formatPercent(result.householdTds)} (max ${TDS_QUALIFYING_LIMIT}%)
+        </div>
+        <div class="flex justify-between mt-2">
+            <span class="text-gray-600">Maximum price passing the stress test (GDS/TDS only):</span>
+            <span class="font-semibold text-gray-800">${maxPriceText}</span>
+        </div>
+    `;
+    container.classList.remove('hidden');
 }
 
-function updatePerPersonRatios(ownerData = [], totalGrossIncome = 0, gdsHousingCosts = 0, rrspMonthlyRepayment = 0) {
+function updatePerPersonRatios(ownerData = [], totalGrossIncome = 0, gdsHousingCosts = 0, rrspMonthlyRepayment = 0, stressTest = null) {
     const container = document.getElementById('perPersonRatios');
     if (!container) return;
 
@@ -682,20 +590,14 @@ function updatePerPersonRatios(ownerData = [], totalGrossIncome = 0, gdsHousingC
         return;
     }
 
-    // Split RRSP repayment proportionally
-    const rrspPerPerson = rrspMonthlyRepayment / ownerData.length;
-
     const ratioCards = ownerData.map(owner => {
-        const incomeShare = owner.income / totalGrossIncome;
-        const housingCostShare = gdsHousingCosts * incomeShare;
+        // GDS = their share of housing costs / their income
+        // TDS = GDS + their personal debts + the HBP repayment for their own RRSP withdrawals
+        const rrspPerPerson = rrspMonthlyRepayment * owner.hbpRepaymentShare;
+        const { incomeShare, housingCostShare, tdsAmount, gdsRatio, tdsRatio, qualifies } =
+            calculateOwnerRatios(owner, totalGrossIncome, gdsHousingCosts, rrspPerPerson);
 
-        // GDS for this person (their share of housing costs / their income)
-        const gdsRatio = owner.income > 0 ? (housingCostShare / owner.income) * 100 : 0;
         const gdsStatus = gdsRatio <= 32 ? 'Excellent' : gdsRatio <= 39 ? 'Acceptable' : 'May Not Qualify';
-
-        // TDS for this person (GDS + their personal debts + their RRSP repayment share)
-        const tdsAmount = housingCostShare + owner.totalDebts + rrspPerPerson;
-        const tdsRatio = owner.income > 0 ? (tdsAmount / owner.income) * 100 : 0;
         const tdsStatus = tdsRatio <= 40 ? 'Excellent' : tdsRatio <= 44 ? 'Acceptable' : 'May Not Qualify';
 
         const gdsStatusColor = gdsStatus === 'Excellent' ? 'bg-green-100 text-green-800' :
@@ -707,13 +609,16 @@ function updatePerPersonRatios(ownerData = [], totalGrossIncome = 0, gdsHousingC
             <div class="p-4 border border-gray-200 rounded-lg">
                 <div class="flex items-center justify-between mb-3">
                     <h4 class="font-semibold text-gray-800">${owner.name}</h4>
-                    <span class="text-xs text-gray-500">${formatPercent(incomeShare * 100)} of income</span>
+                    <div class="flex items-center gap-2">
+                        ${stressTest ? getQualificationBadge(qualifies) : ''}
+                        <span class="text-xs text-gray-500">${formatPercent(incomeShare * 100)} of income</span>
+                    </div>
                 </div>
 
                 <!-- GDS -->
                 <div class="mb-3">
                     <div class="flex justify-between items-baseline mb-1">
-                        <span class="text-xs text-gray-600">GDS (Gross Debt Service)</span>
+                        <span class="text-xs text-gray-600">GDS (Gross Debt Service) · lender max ${GDS_QUALIFYING_LIMIT}%</span>
                         <div class="flex items-baseline gap-2">
                             <span class="text-lg font-bold text-gray-800">${formatPercent(gdsRatio)}</span>
                             <span class="px-2 py-0.5 rounded-full text-xs font-medium ${gdsStatusColor}">${gdsStatus}</span>
@@ -734,7 +639,7 @@ function updatePerPersonRatios(ownerData = [], totalGrossIncome = 0, gdsHousingC
                 <!-- TDS -->
                 <div>
                     <div class="flex justify-between items-baseline mb-1">
-                        <span class="text-xs text-gray-600">TDS (Total Debt Service)</span>
+                        <span class="text-xs text-gray-600">TDS (Total Debt Service) · lender max ${TDS_QUALIFYING_LIMIT}%</span>
                         <div class="flex items-baseline gap-2">
                             <span class="text-lg font-bold text-gray-800">${formatPercent(tdsRatio)}</span>
                             <span class="px-2 py-0.5 rounded-full text-xs font-medium ${tdsStatusColor}">${tdsStatus}</span>
@@ -874,7 +779,7 @@ function initChart() {
 
 function updateChart(data) {
     const datasets = [];
-    const maxMonths = 360; // 30 years
+    const maxMonths = CHART_HORIZON_MONTHS;
 
     // Color palette
     const colors = {
@@ -889,26 +794,21 @@ function updateChart(data) {
     // Generate month labels (1-360)
     const labels = Array.from({ length: maxMonths }, (_, i) => i + 1);
 
-    // Calculate amortization schedule for each loan
+    // Split each loan's amortization schedule into interest (combined) and principal (per loan).
+    // Only what is paid is plotted: interest deferred or added to the balance (family-loan
+    // deferrals, variable loans past the trigger rate) is not, and principal never goes negative
     const interestData = new Array(maxMonths).fill(0);
+    const prepaymentData = new Array(maxMonths).fill(0);
     const principalDataByLoan = {};
 
-    data.loanPaymentDetails.forEach((loan, loanIndex) => {
+    data.schedule.loans.forEach((loan, loanIndex) => {
         const principalData = new Array(maxMonths).fill(0);
-        let remainingBalance = loan.amount;
-        const monthlyRate = (loan.rate / 100) / 12;
-        const monthlyPayment = loan.monthlyPayment || 0;
-
-        for (let month = 0; month < Math.min(loan.termMonths, maxMonths); month++) {
-            if (remainingBalance > 0 && monthlyPayment > 0) {
-                const interestPortion = remainingBalance * monthlyRate;
-                const principalPortion = Math.min(monthlyPayment - interestPortion, remainingBalance);
-
-                interestData[month] += interestPortion;
-                principalData[month] = principalPortion;
-                remainingBalance -= principalPortion;
-            }
-        }
+
+        loan.rows.slice(0, maxMonths).forEach((row, month) => {
+            interestData[month] += Math.min(row.interest, Math.max(0, row.payment));
+            prepaymentData[month] += row.prepayment;
+            principalData[month] = Math.max(0, row.principal);
+        });
 
         principalDataByLoan[loanIndex] = { name: loan.name, data: principalData };
     });
@@ -936,13 +836,23 @@ function updateChart(data) {
         }
     });
 
-    // Add RRSP repayment (15 years = 180 months, starting month 24)
+    // Add lump-sum prepayments (yearly spikes on each loan anniversary)
+    if (prepaymentData.some(v => v > 0)) {
+        datasets.push({
+            label: 'Lump-Sum Prepayments',
+            data: prepaymentData,
+            backgroundColor: '#14b8a6',  // teal
+            borderWidth: 0
+        });
+    }
+
+    // Add RRSP repayment (each calendar year's HBP repayments spread over its months; missed years stay empty)
     if (data.rrspMonthlyRepayment > 0) {
-        const rrspData = new Array(maxMonths).fill(0);
-        // RRSP repayment starts in the 2nd year (month 12) and lasts 15 years (180 months)
-        for (let month = 12; month < Math.min(12 + 180, maxMonths); month++) {
-            rrspData[month] = data.rrspMonthlyRepayment;
-        }
+        const closingMonth = data.closingDate.slice(0, 7);
+        const rrspData = labels.map((_, month) => {
+            const year = Number(addMonthsToYearMonth(closingMonth, month + 1).slice(0, 4));
+            return (data.hbpRepayment.repaidByYear[year] || 0) / 12;
+        });
         datasets.push({
             label: 'RRSP Repayment',
             data: rrspData,
@@ -1004,9 +914,9 @@ function updateChartLegend(data) {
         }
     });
 
-    // Add RRSP repayment (shows as 0 first year, then starts in year 2)
+    // Add RRSP repayment (shows as 0 until January of the HBP start year)
     if (data.rrspMonthlyRepayment > 0) {
-        legendItems.push({ label: 'RRSP Repayment (starts Year 2)', color: colors.rrsp, value: data.rrspMonthlyRepayment });
+        legendItems.push({ label: `RRSP Repayment (starts Jan ${data.hbpRepayment.startYear})`, color: colors.rrsp, value: data.rrspMonthlyRepayment });
     }
 
     // Add other costs
@@ -1089,44 +999,14 @@ function initEquityChart() {
     });
 }
 
-function updateEquityChart(data) {
-    const { propertyValue, loanPaymentDetails } = data;
-    const maxYears = 30;
-    const labels = Array.from({ length: maxYears + 1 }, (_, i) => i);
-
-    // Calculate remaining balance for each loan at each year end
-    const equityData = [];
-    const remainingDebtData = [];
-    const propertyValueData = new Array(maxYears + 1).fill(propertyValue);
-
-    for (let year = 0; year <= maxYears; year++) {
-        const monthIndex = year * 12;
-        let totalRemainingDebt = 0;
-
-        loanPaymentDetails.forEach(loan => {
-            if (loan.amount > 0 && loan.monthlyPayment > 0) {
-                let remainingBalance = loan.amount;
-                const monthlyRate = (loan.rate / 100) / 12;
-
-                for (let month = 0; month < Math.min(monthIndex, loan.termMonths); month++) {
-                    if (remainingBalance > 0) {
-                        const interestPortion = remainingBalance * monthlyRate;
-                        const principalPortion = Math.min(loan.monthlyPayment - interestPortion, remainingBalance);
-                        remainingBalance -= principalPortion;
-                    }
-                }
-                totalRemainingDebt += Math.max(0, remainingBalance);
-            }
-        });
-
-        remainingDebtData.push(totalRemainingDebt);
-        equityData.push(propertyValue - totalRemainingDebt);
-    }
+function updateEquityChart(projection) {
+    const { propertyValues, remainingDebt, baselineDebt, equity, bands } = projection;
+    const labels = propertyValues.map((_, year) => year);
 
     const datasets = [
         {
             label: 'Property Value',
-            data: propertyValueData,
+            data: propertyValues,
             borderColor: '#10b981',
             backgroundColor: 'rgba(16, 185, 129, 0.1)',
             borderWidth: 2,
@@ -1135,7 +1015,7 @@ function updateEquityChart(data) {
         },
         {
             label: 'Remaining Debt',
-            data: remainingDebtData,
+            data: remainingDebt,
             borderColor: '#ef4444',
             backgroundColor: 'rgba(239, 68, 68, 0.1)',
             borderWidth: 2,
@@ -1144,7 +1024,7 @@ function updateEquityChart(data) {
         },
         {
             label: 'Your Equity',
-            data: equityData,
+            data: equity,
             borderColor: '#3b82f6',
             backgroundColor: 'rgba(59, 130, 246, 0.2)',
             borderWidth: 3,
@@ -1153,96 +1033,970 @@ function updateEquityChart(data) {
         }
     ];
 
+    if (baselineDebt) {
+        datasets.splice(2, 0, {
+            label: 'Remaining Debt (no prepayments)',
+            data: baselineDebt,
+            borderColor: '#fca5a5',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1
+        });
+    }
+
+    if (bands) {
+        // Shaded equity range: the optimistic line fills down to the pessimistic one
+        datasets.push(
+            {
+                label: 'Equity (pessimistic)',
+                data: bands.pessimistic.map((value, year) => value - remainingDebt[year]),
+                borderColor: 'rgba(59, 130, 246, 0.4)',
+                borderDash: [4, 4],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.1
+            },
+            {
+                label: 'Equity (optimistic)',
+                data: bands.optimistic.map((value, year) => value - remainingDebt[year]),
+                borderColor: 'rgba(59, 130, 246, 0.4)',
+                backgroundColor: 'rgba(59, 130, 246, 0.08)',
+                borderDash: [4, 4],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: '-1',
+                tension: 0.1
+            }
+        );
+    }
+
     equityChart.data.labels = labels;
     equityChart.data.datasets = datasets;
     equityChart.update();
 
+    updateEquityHorizonSummary(projection.horizons);
+
     // Update equity legend
     const initialEquityEl = document.getElementById('initialEquity');
     const finalEquityEl = document.getElementById('finalEquity');
     if (initialEquityEl) {
-        initialEquityEl.textContent = formatCurrency(equityData[0] || 0);
+        initialEquityEl.textContent = formatCurrency(equity[0] || 0);
     }
     if (finalEquityEl) {
-        finalEquityEl.textContent = formatCurrency(equityData[equityData.length - 1] || 0);
+        finalEquityEl.textContent = formatCurrency(equity[equity.length - 1] || 0);
     }
 }
 
-// =============================================================================
-// DYNAMIC LIST FUNCTIONS
-// =============================================================================
-
-function addFinancingSource(defaultName = '', sourceType = 'other_savings', options = {}, savedData = null) {
-    const index = financingSources.length;
-    const typeConfig = FINANCING_TYPES[sourceType] || FINANCING_TYPES.other_savings;
-    const name = defaultName || typeConfig.label;
-
-    const isAutoFillMortgage = options.isAutoFillMortgage || savedData?.isAutoFillMortgage || false;
-    const isAutoCalculated = options.isAutoCalculated || savedData?.isAutoCalculated || typeConfig.isAutoCalculated || false;
-
-    financingSources.push({
-        name,
-        sourceType,
-        amount: savedData?.amount || 0,
-        rate: savedData?.rate || 0,
-        termMonths: savedData?.termMonths || 0,
-        isAutoFillMortgage,
-        isAutoCalculated
-    });
-
-    const container = document.getElementById('financingSources');
-    const div = document.createElement('div');
-    div.id = `financing-source-${index}`;
-
-    // Color coding based on type
-    let borderColor = 'border-gray-200';
-    let bgColor = '';
-    if (sourceType === 'mortgage') {
-        borderColor = 'border-blue-200';
-        bgColor = 'bg-blue-50/30';
-    } else if (typeConfig.countsTowardDownPayment) {
-        borderColor = 'border-green-200';
-        bgColor = 'bg-green-50/30';
-    } else if (sourceType === 'joint_account') {
-        borderColor = 'border-purple-200';
-        bgColor = 'bg-purple-50/30';
-    } else if (sourceType === 'parents_loan') {
-        borderColor = 'border-orange-200';
-        bgColor = 'bg-orange-50/30';
-    }
-
-    div.className = `p-4 border ${borderColor} ${bgColor} rounded-lg`;
-
-    // Build status badge (only show auto-fill/auto-calculated status)
-    let statusBadge = '';
-    if (isAutoFillMortgage) {
-        statusBadge = '<span class="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded">Auto-filled from mortgage</span>';
-    } else if (isAutoCalculated) {
-        statusBadge = '<span class="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded">Auto-calculated gap</span>';
+function updateEquityHorizonSummary(horizons) {
+    // Net equity at each horizon in the Summary section, with the breakdown under the equity chart
+    const summaryContainer = document.getElementById('summaryEquityHorizons');
+    if (summaryContainer) {
+        summaryContainer.innerHTML = horizons.map(horizon => `
+            <div class="flex justify-between py-2">
+                <span class="text-gray-600">Net Equity After ${horizon.year} Years</span>
+                <span class="font-medium text-blue-700">${formatCurrency(horizon.netEquity)}</span>
+            </div>
+        `).join('');
     }
 
-    // Amount field properties
-    const isAmountReadonly = isAutoFillMortgage || isAutoCalculated;
-    const amountClass = isAmountReadonly ? 'input-field text-sm bg-gray-100' : 'input-field text-sm';
-    const amountReadonly = isAmountReadonly ? 'readonly' : '';
+    const container = document.getElementById('equityHorizonSummary');
+    if (!container) return;
 
-    // Build type selector options
-    const typeOptions = Object.entries(FINANCING_TYPES).map(([key, config]) =>
-        `<option value="${key}" ${sourceType === key ? 'selected' : ''}>${config.label}</option>`
-    ).join('');
+    container.innerHTML = horizons.map(({ year, propertyValue, remainingDebt, sellingCosts, netEquity, range }) => `
+            <div class="p-3 bg-white rounded border border-gray-200">
+                <div class="text-xs font-semibold text-gray-500 uppercase">After ${year} years</div>
+                <div class="text-lg font-bold text-blue-700">${formatCurrency(netEquity)}</div>
+                ${range ? `<div class="text-xs text-gray-500">Range: ${formatCurrency(range.low)} to ${formatCurrency(range.high)}</div>` : ''}
+                <div class="mt-1 text-xs text-gray-500">
+                    Value ${formatCurrency(propertyValue)} − selling ${formatCurrency(sellingCosts)} − debt ${formatCurrency(remainingDebt)}
+                </div>
+            </div>
+        `).join('');
+}
 
-    // Show loan fields for mortgage and loans
-    const showLoanFields = typeConfig.isLoan;
+function initRentVsBuyChart() {
+    const ctx = document.getElementById('rentVsBuyChart').getContext('2d');
 
-    div.innerHTML = `
-        <div class="flex items-center justify-between mb-2">
-            <div class="flex items-center gap-2">
-                <input type="text" id="financing-name-${index}" value="${name}"
-                       class="font-medium text-gray-800 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none px-1 max-w-48"
-                       onchange="financingSources[${index}].name = this.value; saveToStorage()">
-                ${statusBadge}
-            </div>
-            <button onclick="removeFinancingSource(${index})" class="text-red-500 hover:text-red-700 text-sm">Remove</button>
+    rentVsBuyChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Net Worth ($)'
+                    },
+                    ticks: {
+                        callback: function (value) {
+                            return '$' + value.toLocaleString();
+                        }
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: function (context) {
+                            return `Year ${context[0].label}`;
+                        },
+                        label: function (context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.raw);
+                        }
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                }
+            },
+            interaction: {
+                mode: 'index',
+                intersect: false
+            }
+        }
+    });
+}
+
+function updateRentVsBuy(result) {
+    const resultEl = document.getElementById('rentVsBuyResult');
+
+    if (!result) {
+        rentVsBuyChart.data.labels = [];
+        rentVsBuyChart.data.datasets = [];
+        rentVsBuyChart.update();
+        resultEl.innerHTML = '<span class="text-gray-500">Enter your current rent to compare renting with buying.</span>';
+        return;
+    }
+
+    const { points, breakEvenYear } = result;
+    rentVsBuyChart.data.labels = points.map(point => point.year);
+    rentVsBuyChart.data.datasets = [
+        {
+            label: 'Buy (net equity + investments)',
+            data: points.map(point => point.buyNetWorth),
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 3,
+            fill: false,
+            tension: 0.1
+        },
+        {
+            label: 'Rent (investments)',
+            data: points.map(point => point.rentNetWorth),
+            borderColor: '#f97316',
+            backgroundColor: 'rgba(249, 115, 22, 0.1)',
+            borderWidth: 3,
+            fill: false,
+            tension: 0.1
+        }
+    ];
+    rentVsBuyChart.update();
+
+    const last = points[points.length - 1];
+    const verdict = breakEvenYear !== null
+        ? `<span class="font-semibold text-blue-700">Buying breaks even in year ${breakEvenYear}</span>`
+        : `<span class="font-semibold text-orange-700">Renting stays ahead for all ${last.year} years</span>`;
+
+    resultEl.innerHTML = `
+        <div class="mb-2">${verdict}</div>
+        <div class="grid grid-cols-2 gap-2 text-gray-600">
+            <div>Net worth after ${last.year} years (buy): <span class="font-medium text-gray-800">${formatCurrency(last.buyNetWorth)}</span></div>
+            <div>Net worth after ${last.year} years (rent): <span class="font-medium text-gray-800">${formatCurrency(last.rentNetWorth)}</span></div>
+            <div>Total ownership costs: <span class="font-medium text-gray-800">${formatCurrency(last.totalBuyCosts)}</span></div>
+            <div>Total rent paid: <span class="font-medium text-gray-800">${formatCurrency(last.totalRent)}</span></div>
+        </div>
+    `;
+}
+
+// =============================================================================
+// SENSITIVITY ANALYSIS
+// =============================================================================
+
+const SENSITIVITY_RANGE_INPUTS = {
+    rate: 'sensitivityRate',
+    offerPrice: 'sensitivityPrice',
+    downPayment: 'sensitivityDownPayment',
+    cityTaxes: 'sensitivityCityTaxes',
+    income: 'sensitivityIncome',
+    upkeep: 'sensitivityUpkeep'
+};
+
+const SENSITIVITY_METRICS = {
+    totalMonthlyCosts: { label: 'Total monthly cost', format: value => formatCurrency(value) },
+    housingCostRatio: { label: 'Housing cost ratio', format: value => formatPercent(value) }
+};
+
+function readSensitivityRanges() {
+    const ranges = {};
+    Object.entries(SENSITIVITY_RANGE_INPUTS).forEach(([key, id]) => {
+        ranges[key] = getInputValue(id);
+    });
+    return ranges;
+}
+
+function getSensitivityMetric() {
+    return document.getElementById('sensitivityMetric')?.value || 'totalMonthlyCosts';
+}
+
+function initSensitivityChart() {
+    const ctx = document.getElementById('sensitivityChart').getContext('2d');
+
+    sensitivityChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Change from current'
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function (context) {
+                            const metric = SENSITIVITY_METRICS[getSensitivityMetric()];
+                            const sign = context.raw >= 0 ? '+' : '−';
+                            const magnitude = metric.format(Math.abs(context.raw));
+                            return `${context.dataset.label}: ${sign}${magnitude}`;
+                        }
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Tornado chart of each factor's swing on the selected metric (largest first) and the
+ * rate × price grid of housing cost ratios.
+ */
+function updateSensitivity(state, results) {
+    const gridEl = document.getElementById('sensitivityGrid');
+
+    if (state.offerPrice <= 0 || results.totalGrossIncome <= 0) {
+        sensitivityChart.data.labels = [];
+        sensitivityChart.data.datasets = [];
+        sensitivityChart.update();
+        gridEl.innerHTML = '<p class="text-gray-500">Enter an offer price and household income to see which assumptions matter most.</p>';
+        return;
+    }
+
+    const ranges = readSensitivityRanges();
+    const metric = getSensitivityMetric();
+    const analysis = runSensitivityAnalysis(state, ranges);
+    const swing = factor => Math.abs(factor.high[metric] - factor.low[metric]);
+    const factors = [...analysis.factors].sort((a, b) => swing(b) - swing(a));
+
+    sensitivityChart.data.labels = factors.map(factor => `${factor.label} (±${factor.range} ${factor.unit})`);
+    sensitivityChart.data.datasets = [
+        {
+            label: 'Lower input',
+            data: factors.map(factor => factor.low[metric] - analysis.base[metric]),
+            backgroundColor: 'rgba(59, 130, 246, 0.7)',
+            grouped: false
+        },
+        {
+            label: 'Higher input',
+            data: factors.map(factor => factor.high[metric] - analysis.base[metric]),
+            backgroundColor: 'rgba(249, 115, 22, 0.7)',
+            grouped: false
+        }
+    ];
+    sensitivityChart.options.scales.x.title.text = `Change in ${SENSITIVITY_METRICS[metric].label.toLowerCase()} (now ${SENSITIVITY_METRICS[metric].format(analysis.base[metric])})`;
+    sensitivityChart.update();
+
+    renderRatePriceGrid(buildRatePriceGrid(state, ranges.rate, ranges.offerPrice), results);
+}
+
+function renderRatePriceGrid(grid, results) {
+    const gridEl = document.getElementById('sensitivityGrid');
+    const mortgage = results.sources.find(s => s.isAutoFillMortgage && FINANCING_TYPES[s.sourceType]?.isMortgage);
+    const middle = Math.floor(grid.rateChanges.length / 2);
+
+    const rateLabel = change => {
+        const changeText = `${change >= 0 ? '+' : '−'}${Math.abs(change).toFixed(2)}`;
+        return mortgage ? formatPercent(mortgage.rate + change, 2) : `${changeText} pts`;
+    };
+    const cellClass = ratio => ratio <= 30 ? 'bg-green-100 text-green-800' :
+        ratio <= 40 ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800';
+
+    gridEl.innerHTML = `
+        <table class="w-full text-xs text-center border-collapse">
+            <thead>
+                <tr>
+                    <th class="px-2 py-1 text-left text-gray-600">Price \\ Rate</th>
+                    ${grid.rateChanges.map(change => `<th class="px-2 py-1 text-gray-600">${rateLabel(change)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${grid.cells.map((row, priceIndex) => `
+                    <tr>
+                        <th class="px-2 py-1 text-left text-gray-600">${formatCurrency(grid.prices[priceIndex])}</th>
+                        ${row.map((cell, rateIndex) => `
+                            <td class="px-2 py-1 border border-white ${cellClass(cell.housingCostRatio)} ${priceIndex === middle && rateIndex === middle ? 'font-bold ring-2 ring-inset ring-gray-500' : ''}"
+                                title="${formatCurrency(cell.totalMonthlyCosts)}/mo">
+                                ${formatPercent(cell.housingCostRatio)}
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// =============================================================================
+// MONTE CARLO SIMULATION
+// =============================================================================
+
+const SIMULATION_INPUTS = {
+    trials: 'simulationTrials',
+    rateChangeMean: 'simulationRateChange',
+    rateChangeStdDev: 'simulationRateStdDev',
+    appreciationMean: 'simulationAppreciation',
+    appreciationStdDev: 'simulationAppreciationStdDev',
+    incomeGrowthMean: 'simulationIncomeGrowth',
+    incomeGrowthStdDev: 'simulationIncomeStdDev'
+};
+
+const SIMULATION_METRICS = {
+    payment: { label: 'Average monthly loan payment', axis: 'Monthly Payment ($)', format: value => formatCurrency(value) },
+    equity: { label: 'Equity', axis: 'Equity ($)', format: value => formatCurrency(value) },
+    tds: { label: 'Highest owner TDS', axis: 'TDS (%)', format: value => formatPercent(value) }
+};
+
+function readSimulationSettings() {
+    const settings = {};
+    Object.entries(SIMULATION_INPUTS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        settings[key] = el && el.value !== '' ? getInputValue(id) : DEFAULT_SIMULATION_SETTINGS[key];
+    });
+    return settings;
+}
+
+function getSimulationMetric() {
+    return document.getElementById('simulationMetric')?.value || 'payment';
+}
+
+function initSimulationChart() {
+    const ctx = document.getElementById('simulationChart').getContext('2d');
+
+    simulationChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: ''
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: function (context) {
+                            return `Year ${context[0].label}`;
+                        },
+                        label: function (context) {
+                            return context.dataset.label + ': ' + SIMULATION_METRICS[getSimulationMetric()].format(context.raw);
+                        }
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                }
+            },
+            interaction: {
+                mode: 'index',
+                intersect: false
+            }
+        }
+    });
+}
+
+function setSimulationStatus(message) {
+    document.getElementById('simulationStatus').textContent = message;
+}
+
+/**
+ * Run the simulation for the form as it is on screen. It runs in a Web Worker; browsers that
+ * refuse to start one (e.g. a page opened from disk) fall back to the main thread.
+ */
+function runSimulation() {
+    const state = readCalculationState();
+    if (state.offerPrice <= 0 || !state.owners.some(owner => owner.income > 0)) {
+        setSimulationStatus('Enter an offer price and household income before running the simulation.');
+        return;
+    }
+
+    const settings = readSimulationSettings();
+    const runOnMainThread = () => {
+        simulationWorker = null;
+        showSimulationResult(runMonteCarloSimulation(state, settings));
+    };
+
+    if (simulationWorker) simulationWorker.terminate();
+    setSimulationStatus('Running simulation...');
+
+    try {
+        simulationWorker = new Worker('static/js/simulation-worker.js');
+    } catch (error) {
+        runOnMainThread();
+        return;
+    }
+
+    simulationWorker.onmessage = event => {
+        const { type } = event.data;
+        if (type === 'progress') {
+            setSimulationStatus(`Running simulation... ${event.data.completed.toLocaleString()} / ${event.data.total.toLocaleString()} trials`);
+        } else if (type === 'result') {
+            simulationWorker.terminate();
+            simulationWorker = null;
+            showSimulationResult(event.data.result);
+        }
+    };
+    simulationWorker.onerror = event => {
+        event.preventDefault();
+        simulationWorker.terminate();
+        runOnMainThread();
+    };
+    simulationWorker.postMessage({ state, settings });
+}
+
+function showSimulationResult(result) {
+    simulationResult = result;
+    setSimulationStatus(`${result.trials.toLocaleString()} trials. Run again after changing your inputs.`);
+    updateSimulationChart();
+
+    const lastYear = result.years.length - 1;
+    const renewalYear = Math.min(5, lastYear);
+    const metricRange = (metric, index) =>
+        `${SIMULATION_METRICS[metric].format(result[metric][index].p10)} – ${SIMULATION_METRICS[metric].format(result[metric][index].p90)}`;
+    const probability = result.tdsBreachProbability * 100;
+    const probabilityClass = probability <= 10 ? 'text-green-700' : probability <= 30 ? 'text-yellow-700' : 'text-red-700';
+
+    document.getElementById('simulationResult').innerHTML = `
+        <div class="flex justify-between items-baseline">
+            <span class="text-gray-700 font-medium">Chance an owner's TDS exceeds ${TDS_QUALIFYING_LIMIT}% in some year:</span>
+            <span class="text-xl font-bold ${probabilityClass}">${formatPercent(probability)}</span>
+        </div>
+        <div class="grid grid-cols-2 gap-2 mt-3 pt-3 border-t border-gray-200 text-xs text-gray-600">
+            <div>Payment in year ${result.years[renewalYear]} (10th–90th): <span class="font-medium">${metricRange('payment', renewalYear)}</span></div>
+            <div>Equity in year ${result.years[lastYear]} (10th–90th): <span class="font-medium">${metricRange('equity', lastYear)}</span></div>
+        </div>
+    `;
+}
+
+/**
+ * Percentile bands for the selected metric: 10th–90th and 25th–75th ranges around the median.
+ */
+function updateSimulationChart() {
+    if (!simulationChart || !simulationResult) return;
+
+    const metric = getSimulationMetric();
+    const series = simulationResult[metric];
+    const band = (label, key, fill, color) => ({
+        label,
+        data: series.map(point => point[key]),
+        borderColor: 'transparent',
+        backgroundColor: color,
+        fill,
+        pointRadius: 0,
+        tension: 0.1
+    });
+
+    simulationChart.data.labels = simulationResult.years;
+    simulationChart.data.datasets = [
+        band('10th percentile', 'p10', false, 'rgba(59, 130, 246, 0.12)'),
+        band('90th percentile', 'p90', '-1', 'rgba(59, 130, 246, 0.12)'),
+        band('25th percentile', 'p25', false, 'rgba(59, 130, 246, 0.25)'),
+        band('75th percentile', 'p75', '-1', 'rgba(59, 130, 246, 0.25)'),
+        {
+            label: 'Median',
+            data: series.map(point => point.p50),
+            borderColor: '#1d4ed8',
+            backgroundColor: '#1d4ed8',
+            borderWidth: 3,
+            fill: false,
+            pointRadius: 0,
+            tension: 0.1
+        }
+    ];
+    simulationChart.options.scales.y.title.text = SIMULATION_METRICS[metric].axis;
+    simulationChart.update();
+}
+
+// =============================================================================
+// CASH-FLOW TIMELINE
+// =============================================================================
+
+function renderCashFlowTimeline(timeline) {
+    const thead = document.getElementById('cashFlowTimelineHead');
+    const tbody = document.getElementById('cashFlowTimelineBody');
+    if (!thead || !tbody || !timeline) return;
+
+    const sourceNames = timeline.months.length > 0 ? timeline.months[0].balances.map(source => source.name) : [];
+    thead.innerHTML = `
+        <tr class="bg-gray-50 text-gray-700">
+            <th class="px-3 py-2 text-left font-semibold border-b">Month</th>
+            <th class="px-3 py-2 text-left font-semibold border-b">Events</th>
+            <th class="px-3 py-2 text-right font-semibold border-b">From Savings</th>
+            <th class="px-3 py-2 text-right font-semibold border-b">From Income</th>
+            ${sourceNames.map(name => `<th class="px-3 py-2 text-right font-semibold border-b">${name}</th>`).join('')}
+        </tr>
+    `;
+
+    if (timeline.months.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${4 + sourceNames.length}" class="px-3 py-4 text-center text-gray-500">No cash flows to show</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = timeline.months.map(month => {
+        const hasShortfall = month.events.some(event => event.shortfall > 0);
+        const events = month.events.map(event => `
+            <div class="${event.shortfall > 0 ? 'text-red-600' : ''}">
+                ${formatDate(event.date)}: ${event.label} ${formatCurrency(event.amount)}${event.shortfall > 0 ? ` (${formatCurrency(event.shortfall)} short)` : ''}
+            </div>
+        `).join('');
+        return `
+            <tr class="border-b ${hasShortfall ? 'bg-red-50' : ''}">
+                <td class="px-3 py-2 align-top whitespace-nowrap">${formatYearMonth(month.month)}</td>
+                <td class="px-3 py-2 align-top text-xs text-gray-600">${events || '-'}</td>
+                <td class="px-3 py-2 align-top text-right">${month.fromSavings > 0 ? formatCurrency(month.fromSavings) : '-'}</td>
+                <td class="px-3 py-2 align-top text-right">${month.fromIncome > 0 ? formatCurrency(month.fromIncome) : '-'}</td>
+                ${month.balances.map(source => `<td class="px-3 py-2 align-top text-right">${formatCurrency(source.balance)}</td>`).join('')}
+            </tr>
+        `;
+    }).join('');
+}
+
+// =============================================================================
+// CO-OWNERSHIP SUMMARY
+// =============================================================================
+
+function updateCoOwnershipDisplay(coOwnership, appreciation) {
+    coOwnershipSummary = coOwnership;
+    const container = document.getElementById('coOwnershipSummary');
+    if (!container) return;
+
+    container.innerHTML = coOwnership ? buildCoOwnershipTables(coOwnership, appreciation) : '';
+}
+
+/**
+ * Contributions and equity tables for the co-ownership section and its printable summary:
+ * one column per owner.
+ */
+function buildCoOwnershipTables(coOwnership, appreciation) {
+    const { people, years } = coOwnership;
+    const horizons = [0, ...getEquityHorizons(appreciation, years.length - 1)];
+    const sourceNames = [...new Set(people.flatMap(person => person.sources.map(source => source.name)))];
+    const cell = value => `<td class="px-3 py-1 text-right">${value}</td>`;
+    const row = (label, values, className = '') => `
+        <tr class="border-b border-gray-100 ${className}">
+            <td class="px-3 py-1 text-gray-600">${label}</td>
+            ${values.map(cell).join('')}
+        </tr>
+    `;
+    const sourceAmount = (person, name) => person.sources
+        .filter(source => source.name === name)
+        .reduce((sum, source) => sum + source.amount, 0);
+    const header = `
+        <thead>
+            <tr class="bg-gray-50 text-gray-700">
+                <th class="px-3 py-2 text-left font-semibold border-b"></th>
+                ${people.map(person => `<th class="px-3 py-2 text-right font-semibold border-b">${person.name}</th>`).join('')}
+            </tr>
+        </thead>
+    `;
+
+    return `
+        <table class="w-full text-sm border-collapse mb-4">
+            ${header}
+            <tbody>
+                ${row('Ownership', people.map(person => formatPercent(person.ownershipShare * 100)))}
+                ${row(`Cost share (${COST_SHARING_RULES[coOwnership.rule]?.label.toLowerCase() || coOwnership.rule})`, people.map(person => formatPercent(person.costShare * 100)))}
+                ${sourceNames.map(name => row(name, people.map(person => formatCurrency(sourceAmount(person, name))))).join('')}
+                ${row('Cash put in', people.map(person => formatCurrency(person.cashIn)), 'font-semibold')}
+                ${row('One-time costs paid', people.map(person => formatCurrency(person.oneTimeCosts)))}
+                ${row('Renovations paid', people.map(person => formatCurrency(person.renovations)))}
+                ${row('Down payment contributed', people.map(person => formatCurrency(person.downPayment)), 'font-semibold')}
+                ${row('Monthly costs', people.map(person => `${formatCurrency(person.monthlyCosts)}/mo`))}
+            </tbody>
+        </table>
+        <table class="w-full text-sm border-collapse">
+            <thead>
+                <tr class="bg-gray-50 text-gray-700">
+                    <th class="px-3 py-2 text-left font-semibold border-b">Equity</th>
+                    ${people.map(person => `<th class="px-3 py-2 text-right font-semibold border-b">${person.name}</th>`).join('')}
+                    <th class="px-3 py-2 text-right font-semibold border-b">Net Equity</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${horizons.map(year => row(
+                    year === 0 ? 'At closing' : `After ${year} years`,
+                    [
+                        ...years[year].owners.map(owner => `${formatCurrency(owner.equity)}<div class="text-xs text-gray-500">capital ${formatCurrency(owner.capital)}</div>`),
+                        formatCurrency(years[year].netEquity)
+                    ]
+                )).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Open the co-ownership summary on its own page and print it, for the notary.
+ */
+function printCoOwnershipSummary() {
+    if (!coOwnershipSummary) return;
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+
+    const { appreciation } = readHouseholdState();
+    const closingDate = document.getElementById('closingDate').value;
+    const rule = COST_SHARING_RULES[coOwnershipSummary.rule]?.label.toLowerCase() || coOwnershipSummary.rule;
+
+    printWindow.document.write(`<!DOCTYPE html>
+        <html>
+        <head>
+            <title>Co-Ownership Summary</title>
+            <style>
+                body { font-family: sans-serif; color: #1f2937; margin: 2rem; }
+                table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+                th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: right; }
+                th:first-child, td:first-child { text-align: left; }
+                .text-xs { font-size: 0.75rem; color: #6b7280; }
+                .font-semibold { font-weight: 600; }
+                .signatures { display: flex; gap: 3rem; margin-top: 3rem; }
+                .signatures div { flex: 1; border-top: 1px solid #1f2937; padding-top: 0.25rem; }
+            </style>
+        </head>
+        <body>
+            <h1>Co-Ownership Summary</h1>
+            <p>
+                Purchase price ${formatCurrency(getInputValue('offerPrice'))}${closingDate ? `, closing ${formatDate(closingDate)}` : ''}.
+                Shared costs are split ${rule}. Prepared ${formatDate(getCurrentDate())}.
+            </p>
+            ${buildCoOwnershipTables(coOwnershipSummary, appreciation)}
+            <p class="text-xs">
+                Cash put in is credited to the person whose source it is, or split by the cost-sharing rule when shared;
+                a family loan is credited to whoever repays it. Capital adds each person's share of the principal repaid
+                and subtracts their family loan balance. Equity returns each person's capital and splits the rest of the
+                net equity (after selling costs of ${formatPercent(appreciation.sellingCostPercent)}) by ownership.
+                Projections assume ${appreciation.series.length > 0 ? 'the year-by-year appreciation rates entered' : `${formatPercent(appreciation.rate)} appreciation per year`}.
+            </p>
+            <div class="signatures">
+                ${coOwnershipSummary.people.map(person => `<div>${person.name}</div>`).join('')}
+            </div>
+        </body>
+        </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// =============================================================================
+// AMORTIZATION SCHEDULE TABLE & CSV EXPORT
+// =============================================================================
+
+const SCHEDULE_YEARS_PER_PAGE = 5;
+
+function getSelectedSchedule() {
+    if (scheduleView.loan === 'all') {
+        return { name: 'All Loans', rows: amortizationSchedule.rows };
+    }
+    return amortizationSchedule.loans[scheduleView.loan] || { name: 'All Loans', rows: amortizationSchedule.rows };
+}
+
+function renderScheduleTable() {
+    const select = document.getElementById('scheduleLoanSelect');
+    const tbody = document.getElementById('scheduleTableBody');
+    const pageInfo = document.getElementById('schedulePageInfo');
+    if (!select || !tbody) return;
+
+    // Reset the selection if the chosen loan no longer exists
+    if (scheduleView.loan !== 'all' && !amortizationSchedule.loans[scheduleView.loan]) {
+        scheduleView.loan = 'all';
+    }
+
+    select.innerHTML = `
+        <option value="all" ${scheduleView.loan === 'all' ? 'selected' : ''}>All loans (household)</option>
+        ${amortizationSchedule.loans.map((loan, i) =>
+            `<option value="${i}" ${scheduleView.loan === i ? 'selected' : ''}>${loan.name}</option>`
+        ).join('')}
+    `;
+
+    const { rows } = getSelectedSchedule();
+    const totalYears = Math.ceil(rows.length / 12);
+    const totalPages = Math.max(1, Math.ceil(totalYears / SCHEDULE_YEARS_PER_PAGE));
+    scheduleView.page = Math.min(scheduleView.page, totalPages - 1);
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="px-3 py-4 text-center text-gray-500">No loan payments to schedule</td></tr>';
+        pageInfo.textContent = '';
+        return;
+    }
+
+    const firstYear = scheduleView.page * SCHEDULE_YEARS_PER_PAGE;
+    const lastYear = Math.min(firstYear + SCHEDULE_YEARS_PER_PAGE, totalYears);
+    let html = '';
+
+    for (let year = firstYear; year < lastYear; year++) {
+        const yearRows = rows.slice(year * 12, (year + 1) * 12);
+
+        html += yearRows.map(row => `
+            <tr class="border-b border-gray-100">
+                <td class="px-3 py-1 text-gray-600">${row.month}${row.isRenewal || row.isRateChange ? ` <span class="text-xs text-purple-600" title="Rate change">↻ ${formatPercent(row.rate, 2)}</span>` : ''}${row.isTriggerRate ? ' <span class="text-xs text-red-600">⚠ Trigger rate</span>' : ''}${row.isTriggerPoint ? ' <span class="text-xs text-red-600">⚠ Trigger point</span>' : ''}${row.isDeferred ? ' <span class="text-xs text-gray-500">Deferred</span>' : ''}${row.forgiven > 0 ? ` <span class="text-xs text-green-600">${formatCurrency(row.forgiven)} forgiven</span>` : ''}${row.isBalloon ? ' <span class="text-xs text-orange-600">Balloon</span>' : ''}</td>
+                <td class="px-3 py-1 text-right">${formatCurrency(row.payment)}</td>
+                <td class="px-3 py-1 text-right text-red-600">${formatCurrency(row.interest)}</td>
+                <td class="px-3 py-1 text-right text-blue-600">${formatCurrency(row.principal)}</td>
+                <td class="px-3 py-1 text-right text-teal-600">${row.prepayment > 0 ? formatCurrency(row.prepayment) : ''}</td>
+                <td class="px-3 py-1 text-right">${formatCurrency(row.balance)}</td>
+                <td class="px-3 py-1 text-right text-gray-500">${formatCurrency(row.cumulativeInterest)}</td>
+            </tr>
+        `).join('');
+
+        // Yearly subtotal
+        const sum = key => yearRows.reduce((total, row) => total + row[key], 0);
+        const lastRow = yearRows[yearRows.length - 1];
+        html += `
+            <tr class="bg-gray-50 font-semibold border-b border-gray-300">
+                <td class="px-3 py-1 text-gray-700">Year ${year + 1}</td>
+                <td class="px-3 py-1 text-right">${formatCurrency(sum('payment'))}</td>
+                <td class="px-3 py-1 text-right text-red-700">${formatCurrency(sum('interest'))}</td>
+                <td class="px-3 py-1 text-right text-blue-700">${formatCurrency(sum('principal'))}</td>
+                <td class="px-3 py-1 text-right text-teal-700">${formatCurrency(sum('prepayment'))}</td>
+                <td class="px-3 py-1 text-right">${formatCurrency(lastRow.balance)}</td>
+                <td class="px-3 py-1 text-right text-gray-600">${formatCurrency(lastRow.cumulativeInterest)}</td>
+            </tr>
+        `;
+    }
+
+    tbody.innerHTML = html;
+    pageInfo.textContent = `Years ${firstYear + 1}-${lastYear} of ${totalYears} (page ${scheduleView.page + 1} of ${totalPages})`;
+}
+
+function changeScheduleLoan(value) {
+    scheduleView.loan = value === 'all' ? 'all' : parseInt(value);
+    scheduleView.page = 0;
+    renderScheduleTable();
+}
+
+function changeSchedulePage(delta) {
+    scheduleView.page = Math.max(0, scheduleView.page + delta);
+    renderScheduleTable();
+}
+
+function toggleSchedule() {
+    const content = document.getElementById('scheduleContent');
+    const chevron = document.getElementById('scheduleChevron');
+
+    content.classList.toggle('hidden');
+    chevron.classList.toggle('rotate-180');
+}
+
+function formatCsvRow(values) {
+    return values.map(value => {
+        const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+function exportScheduleToCsv() {
+    const header = ['Month', 'Year', 'Rate (%)', 'Payment', 'Interest', 'Principal', 'Prepayment', 'Balance', 'Cumulative Interest'];
+    const toValues = row => [row.month, Math.ceil(row.month / 12), row.rate ?? '', row.payment, row.interest, row.principal, row.prepayment, row.balance, row.cumulativeInterest];
+    let lines;
+    let slug;
+
+    if (scheduleView.loan === 'all') {
+        // One line per loan per month, followed by the household total for that month
+        lines = [formatCsvRow(['Loan', ...header])];
+        amortizationSchedule.rows.forEach((total, i) => {
+            amortizationSchedule.loans.forEach(loan => {
+                if (loan.rows[i]) lines.push(formatCsvRow([loan.name, ...toValues(loan.rows[i])]));
+            });
+            lines.push(formatCsvRow(['All Loans', ...toValues(total)]));
+        });
+        slug = 'household';
+    } else {
+        const loan = getSelectedSchedule();
+        lines = [formatCsvRow(header), ...loan.rows.map(row => formatCsvRow(toValues(row)))];
+        slug = loan.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'loan';
+    }
+
+    downloadFile(lines.join('\n'), `amortization-${slug}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+}
+
+// =============================================================================
+// DYNAMIC LIST FUNCTIONS
+// =============================================================================
+
+function addFinancingSource(defaultName = '', sourceType = 'other_savings', options = {}, savedData = null) {
+    const index = financingSources.length;
+    const typeConfig = FINANCING_TYPES[sourceType] || FINANCING_TYPES.other_savings;
+    const name = defaultName || typeConfig.label;
+
+    const isAutoFillMortgage = options.isAutoFillMortgage || savedData?.isAutoFillMortgage || false;
+    const isAutoCalculated = options.isAutoCalculated || savedData?.isAutoCalculated || typeConfig.isAutoCalculated || false;
+    const compounding = savedData?.compounding || typeConfig.defaultCompounding || 'monthly';
+
+    financingSources.push({
+        name,
+        sourceType,
+        amount: savedData?.amount || 0,
+        rate: savedData?.rate || 0,
+        termMonths: savedData?.termMonths || 0,
+        compounding,
+        termLengthMonths: savedData?.termLengthMonths || 0,
+        rateType: savedData?.rateType || 'fixed',
+        renewals: (savedData?.renewals || []).map(r => ({ ...r })),
+        primeRate: savedData?.primeRate || 0,
+        primeSpread: savedData?.primeSpread || 0,
+        paymentType: savedData?.paymentType || 'fixed',
+        startDate: savedData?.startDate || getCurrentYearMonth(),
+        primePath: (savedData?.primePath || []).map(c => ({ ...c })),
+        lumpSum: savedData?.lumpSum || 0,
+        privilegePercent: savedData?.privilegePercent ?? DEFAULT_PREPAYMENT_PRIVILEGE,
+        paymentIncreasePercent: savedData?.paymentIncreasePercent || 0,
+        paymentFrequency: savedData?.paymentFrequency || 'monthly',
+        // Registered accounts always belong to one owner; other cash sources may be shared
+        owner: savedData?.owner ?? (typeConfig.isPerOwner ? 0 : null),
+        missedRepaymentYears: [...(savedData?.missedRepaymentYears || [])],
+        // Older saves only had the CELIAPP amount: take it as contributions to date
+        fhsaOpenedYear: savedData?.fhsaOpenedYear || 0,
+        fhsaBalance: savedData?.fhsaBalance ?? (typeConfig.hasContributionRoom ? savedData?.amount || 0 : 0),
+        fhsaContributed: savedData?.fhsaContributed ?? (typeConfig.hasContributionRoom ? savedData?.amount || 0 : 0),
+        fhsaAnnualContribution: savedData?.fhsaAnnualContribution || 0,
+        fhsaReturn: savedData?.fhsaReturn || 0,
+        fhsaTaxRate: savedData?.fhsaTaxRate || 0,
+        planBalance: savedData?.planBalance || 0,
+        planMonthlyContribution: savedData?.planMonthlyContribution || 0,
+        planReturn: savedData?.planReturn || 0,
+        isGift: savedData?.isGift || false,
+        deferralMonths: savedData?.deferralMonths || 0,
+        interestOnlyMonths: savedData?.interestOnlyMonths || 0,
+        balloonOnSale: savedData?.balloonOnSale || false,
+        forgivenessAmount: savedData?.forgivenessAmount || 0,
+        forgivenessYears: savedData?.forgivenessYears || 0,
+        isAutoFillMortgage,
+        isAutoCalculated
+    });
+    const source = financingSources[index];
+
+    const container = document.getElementById('financingSources');
+    const div = document.createElement('div');
+    div.id = `financing-source-${index}`;
+
+    // Color coding based on type
+    let borderColor = 'border-gray-200';
+    let bgColor = '';
+    if (typeConfig.isMortgage) {
+        borderColor = 'border-blue-200';
+        bgColor = 'bg-blue-50/30';
+    } else if (typeConfig.countsTowardDownPayment) {
+        borderColor = 'border-green-200';
+        bgColor = 'bg-green-50/30';
+    } else if (sourceType === 'joint_account') {
+        borderColor = 'border-purple-200';
+        bgColor = 'bg-purple-50/30';
+    } else if (sourceType === 'parents_loan') {
+        borderColor = 'border-orange-200';
+        bgColor = 'bg-orange-50/30';
+    }
+
+    div.className = `p-4 border ${borderColor} ${bgColor} rounded-lg`;
+
+    // Build status badge (only show auto-fill/auto-calculated status)
+    let statusBadge = '';
+    if (isAutoFillMortgage) {
+        statusBadge = '<span class="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded">Auto-filled from mortgage</span>';
+    } else if (isAutoCalculated) {
+        statusBadge = '<span class="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded">Auto-calculated gap</span>';
+    }
+
+    // Amount field properties
+    const isAmountReadonly = isAutoFillMortgage || isAutoCalculated || isProjectedSavings(typeConfig);
+    const amountClass = isAmountReadonly ? 'input-field text-sm bg-gray-100' : 'input-field text-sm';
+    const amountReadonly = isAmountReadonly ? 'readonly' : '';
+
+    // Build type selector options
+    const typeOptions = Object.entries(FINANCING_TYPES).map(([key, config]) =>
+        `<option value="${key}" ${sourceType === key ? 'selected' : ''}>${config.label}</option>`
+    ).join('');
+
+    // Build compounding selector options
+    const compoundingOptions = Object.entries(COMPOUNDING_CONVENTIONS).map(([key, config]) =>
+        `<option value="${key}" ${compounding === key ? 'selected' : ''}>${config.label}</option>`
+    ).join('');
+
+    const rateTypeOptions = Object.entries(RATE_TYPES).map(([key, config]) =>
+        `<option value="${key}" ${(savedData?.rateType || 'fixed') === key ? 'selected' : ''}>${config.label}</option>`
+    ).join('');
+
+    const frequencyOptions = Object.entries(PAYMENT_FREQUENCIES).map(([key, config]) =>
+        `<option value="${key}" ${source.paymentFrequency === key ? 'selected' : ''}>${config.label}</option>`
+    ).join('');
+
+    const variablePaymentOptions = Object.entries(VARIABLE_PAYMENT_TYPES).map(([key, config]) =>
+        `<option value="${key}" ${source.paymentType === key ? 'selected' : ''}>${config.label}</option>`
+    ).join('');
+
+    // Show loan fields for mortgage and loans (a family gift has no terms)
+    const isFamilyGift = (typeConfig.hasFamilyTerms || false) && source.isGift;
+    const showLoanFields = typeConfig.isLoan && !isFamilyGift;
+    const isVariableRate = typeConfig.isVariableRate || false;
+
+    div.innerHTML = `
+        <div class="flex items-center justify-between mb-2">
+            <div class="flex items-center gap-2">
+                <input type="text" id="financing-name-${index}" value="${name}"
+                       class="font-medium text-gray-800 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none px-1 max-w-48"
+                       onchange="financingSources[${index}].name = this.value; saveToStorage()">
+                ${statusBadge}
+            </div>
+            <button onclick="removeFinancingSource(${index})" class="text-red-500 hover:text-red-700 text-sm">Remove</button>
         </div>
         <div class="grid grid-cols-2 gap-3">
             <div>
@@ -1258,24 +2012,446 @@ function addFinancingSource(defaultName = '', sourceType = 'other_savings', opti
                        oninput="calculate(); saveToStorage()">
             </div>
         </div>
-        <div id="financing-loan-fields-${index}" class="grid grid-cols-2 gap-3 mt-3" style="display: ${showLoanFields ? 'grid' : 'none'}">
+        <div id="financing-owner-fields-${index}" class="grid grid-cols-2 gap-3 mt-3" style="display: ${hasSourceOwner(typeConfig) ? 'grid' : 'none'}">
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Owner</label>
+                <select id="financing-owner-${index}" class="input-field text-sm"
+                        onchange="financingSources[${index}].owner = parseOwnerPosition(this.value); calculate(); saveToStorage()"></select>
+            </div>
+            <div id="financing-missed-years-field-${index}" style="display: ${typeConfig.repaymentYears ? 'block' : 'none'}">
+                <label class="block text-xs text-gray-500 mb-1">Missed Repayment Years</label>
+                <input type="text" id="financing-missed-years-${index}" class="input-field text-sm" placeholder="e.g. 2029, 2031"
+                       value="${source.missedRepaymentYears.join(', ')}"
+                       oninput="financingSources[${index}].missedRepaymentYears = parseNumberList(this.value); calculate(); saveToStorage()">
+            </div>
+        </div>
+        <div id="financing-fhsa-fields-${index}" class="grid grid-cols-3 gap-3 mt-3" style="display: ${typeConfig.hasContributionRoom ? 'grid' : 'none'}">
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Opened (year)</label>
+                <input type="number" id="financing-fhsa-opened-${index}" class="input-field text-sm" placeholder="${new Date().getFullYear()}"
+                       value="${source.fhsaOpenedYear || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Balance Today ($)</label>
+                <input type="number" id="financing-fhsa-balance-${index}" class="input-field text-sm" placeholder="0"
+                       value="${source.fhsaBalance || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Contributed to Date ($)</label>
+                <input type="number" id="financing-fhsa-contributed-${index}" class="input-field text-sm" placeholder="0"
+                       value="${source.fhsaContributed || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Yearly Contribution ($)</label>
+                <input type="number" id="financing-fhsa-contribution-${index}" class="input-field text-sm" placeholder="8000"
+                       value="${source.fhsaAnnualContribution || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Expected Return (%)</label>
+                <input type="number" id="financing-fhsa-return-${index}" class="input-field text-sm" placeholder="0" step="0.5"
+                       value="${source.fhsaReturn || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Marginal Tax Rate (%)</label>
+                <input type="number" id="financing-fhsa-tax-rate-${index}" class="input-field text-sm" placeholder="30"
+                       value="${source.fhsaTaxRate || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+        </div>
+        <div id="financing-plan-fields-${index}" class="grid grid-cols-3 gap-3 mt-3" style="display: ${isSavingsPlanOn() && followsSavingsPlan(typeConfig) ? 'grid' : 'none'}">
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Balance Today ($)</label>
+                <input type="number" id="financing-plan-balance-${index}" class="input-field text-sm" placeholder="0"
+                       value="${source.planBalance || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Monthly Contribution ($)</label>
+                <input type="number" id="financing-plan-contribution-${index}" class="input-field text-sm" placeholder="0"
+                       value="${source.planMonthlyContribution || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Expected Return (%)</label>
+                <input type="number" id="financing-plan-return-${index}" class="input-field text-sm" placeholder="0" step="0.5"
+                       value="${source.planReturn || ''}"
+                       oninput="calculate(); saveToStorage()">
+            </div>
+        </div>
+        <div id="financing-family-fields-${index}" class="mt-3 space-y-3" style="display: ${typeConfig.hasFamilyTerms ? 'block' : 'none'}">
+            <label class="flex items-center">
+                <input type="checkbox" id="financing-gift-${index}" class="w-4 h-4 text-blue-600 rounded" ${source.isGift ? 'checked' : ''}
+                       onchange="financingSources[${index}].isGift = this.checked; updateFamilyLoanFields(${index}); calculate(); saveToStorage()">
+                <span class="ml-2 text-sm text-gray-700">Gift (documented with a gift letter, never repaid)</span>
+            </label>
+            <div id="financing-family-terms-${index}" class="grid grid-cols-3 gap-3" style="display: ${isFamilyGift ? 'none' : 'grid'}">
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Deferred (months)</label>
+                    <input type="number" id="financing-deferral-${index}" class="input-field text-sm" placeholder="0"
+                           value="${source.deferralMonths || ''}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Interest-Only (months)</label>
+                    <input type="number" id="financing-interest-only-${index}" class="input-field text-sm" placeholder="0"
+                           value="${source.interestOnlyMonths || ''}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+                <div class="flex items-end">
+                    <label class="flex items-center pb-2">
+                        <input type="checkbox" id="financing-balloon-${index}" class="w-4 h-4 text-blue-600 rounded" ${source.balloonOnSale ? 'checked' : ''}
+                               onchange="calculate(); saveToStorage()">
+                        <span class="ml-2 text-sm text-gray-700">Repaid on sale (end of amortization)</span>
+                    </label>
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Forgiven per Year ($)</label>
+                    <input type="number" id="financing-forgiveness-${index}" class="input-field text-sm" placeholder="0"
+                           value="${source.forgivenessAmount || ''}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Forgiven for (years)</label>
+                    <input type="number" id="financing-forgiveness-years-${index}" class="input-field text-sm" placeholder="0"
+                           value="${source.forgivenessYears || ''}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+            </div>
+        </div>
+        <div id="financing-loan-fields-${index}" class="grid grid-cols-3 gap-3 mt-3" style="display: ${showLoanFields ? 'grid' : 'none'}">
             <div>
                 <label class="block text-xs text-gray-500 mb-1">Interest Rate (%)</label>
-                <input type="number" id="financing-rate-${index}" class="input-field text-sm" placeholder="${sourceType === 'parents_loan' ? '0' : '5.5'}" step="0.1"
-                       value="${savedData?.rate || ''}"
+                <input type="number" id="financing-rate-${index}" class="input-field text-sm ${isVariableRate ? 'bg-gray-100' : ''}" placeholder="${sourceType === 'parents_loan' ? '0' : '5.5'}" step="0.1"
+                       value="${savedData?.rate || ''}" ${isVariableRate ? 'readonly' : ''}
                        oninput="calculate(); saveToStorage()">
             </div>
             <div>
-                <label class="block text-xs text-gray-500 mb-1">Term (years)</label>
-                <input type="number" id="financing-term-${index}" class="input-field text-sm" placeholder="${sourceType === 'mortgage' ? '25' : '10'}"
+                <label class="block text-xs text-gray-500 mb-1">Amortization (years)</label>
+                <input type="number" id="financing-term-${index}" class="input-field text-sm" placeholder="${typeConfig.isMortgage ? '25' : '10'}"
                        value="${savedData?.termMonths ? savedData.termMonths / 12 : ''}"
                        oninput="calculate(); saveToStorage()">
             </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Compounding</label>
+                <select id="financing-compounding-${index}" class="input-field text-sm"
+                        onchange="financingSources[${index}].compounding = this.value; calculate(); saveToStorage()">
+                    ${compoundingOptions}
+                </select>
+            </div>
+            <div id="financing-renewal-fields-${index}" class="col-span-3 space-y-2" style="display: ${isVariableRate ? 'none' : 'block'}">
+                <div class="grid grid-cols-3 gap-3">
+                    <div>
+                        <label class="block text-xs text-gray-500 mb-1">Term (years)</label>
+                        <input type="number" id="financing-term-length-${index}" class="input-field text-sm" placeholder="Full"
+                               value="${savedData?.termLengthMonths ? savedData.termLengthMonths / 12 : ''}"
+                               oninput="calculate(); saveToStorage()">
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-500 mb-1">Rate Type</label>
+                        <select id="financing-rate-type-${index}" class="input-field text-sm"
+                                onchange="calculate(); saveToStorage()">
+                            ${rateTypeOptions}
+                        </select>
+                    </div>
+                    <div class="flex items-end">
+                        <button onclick="addRenewal(${index})"
+                                class="bg-gray-200 text-gray-700 px-3 py-2 rounded text-sm hover:bg-gray-300 w-full">
+                            + Add Renewal
+                        </button>
+                    </div>
+                </div>
+                <div id="financing-renewals-${index}" class="space-y-2"></div>
+            </div>
+            <div id="financing-variable-fields-${index}" class="col-span-3 space-y-2" style="display: ${isVariableRate ? 'block' : 'none'}">
+                <div class="grid grid-cols-4 gap-3">
+                    <div>
+                        <label class="block text-xs text-gray-500 mb-1">Prime Now (%)</label>
+                        <input type="number" id="financing-prime-${index}" class="input-field text-sm" placeholder="4.95" step="0.05"
+                               value="${savedData?.primeRate || ''}"
+                               oninput="calculate(); saveToStorage()">
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-500 mb-1">Spread (±%)</label>
+                        <input type="number" id="financing-spread-${index}" class="input-field text-sm" placeholder="-0.5" step="0.05"
+                               value="${savedData?.primeSpread || ''}"
+                               oninput="calculate(); saveToStorage()">
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-500 mb-1">Payment</label>
+                        <select id="financing-payment-type-${index}" class="input-field text-sm"
+                                onchange="calculate(); saveToStorage()">
+                            ${variablePaymentOptions}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-500 mb-1">First Payment</label>
+                        <input type="month" id="financing-start-${index}" class="input-field text-sm"
+                               value="${source.startDate}"
+                               onchange="calculate(); saveToStorage()">
+                    </div>
+                </div>
+                <div class="flex items-center justify-between">
+                    <span class="text-xs text-gray-500">Prime rate changes</span>
+                    <button onclick="addPrimeRateChange(${index})"
+                            class="bg-gray-200 text-gray-700 px-3 py-1 rounded text-xs hover:bg-gray-300">
+                        + Add Rate Change
+                    </button>
+                </div>
+                <div id="financing-prime-path-${index}" class="space-y-2"></div>
+            </div>
+            <div class="col-span-3 grid grid-cols-4 gap-3">
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Yearly Lump Sum ($)</label>
+                    <input type="number" id="financing-lump-sum-${index}" class="input-field text-sm" placeholder="0"
+                           value="${source.lumpSum || ''}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Privilege (% of loan)</label>
+                    <input type="number" id="financing-privilege-${index}" class="input-field text-sm" placeholder="${DEFAULT_PREPAYMENT_PRIVILEGE}"
+                           value="${source.privilegePercent}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Payment Increase (%)</label>
+                    <input type="number" id="financing-payment-increase-${index}" class="input-field text-sm" placeholder="0"
+                           value="${source.paymentIncreasePercent || ''}"
+                           oninput="calculate(); saveToStorage()">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Payment Frequency</label>
+                    <select id="financing-frequency-${index}" class="input-field text-sm"
+                            onchange="calculate(); saveToStorage()">
+                        ${frequencyOptions}
+                    </select>
+                </div>
+            </div>
+            <div id="financing-renewal-summary-${index}" class="col-span-3 text-xs text-gray-500"></div>
         </div>
         <div id="financing-payment-${index}" class="mt-3 text-sm font-medium text-blue-600"></div>
     `;
 
     container.appendChild(div);
+    renderRenewals(index);
+    renderPrimePath(index);
+    renderOwnerOptions();
+}
+
+// Cash sources record who put them in; the mortgage and other loans are shared costs
+function hasSourceOwner(typeConfig) {
+    return typeConfig.isPerOwner || typeConfig.countsTowardDownPayment || false;
+}
+
+// Owner position from a selector value ('' = shared by the cost-sharing rule)
+function parseOwnerPosition(value) {
+    return value === '' ? null : Number(value);
+}
+
+/**
+ * Fill every owner selector: financing sources, renovations and the one-time costs payer.
+ * They refer to owners by position among the remaining owners, as owners are saved; only
+ * registered accounts cannot be shared.
+ */
+function renderOwnerOptions() {
+    const currentOwners = owners.filter(o => o !== null);
+    const optionsFor = (selected, canShare) => [
+        canShare ? `<option value="" ${selected === null ? 'selected' : ''}>Shared (cost-sharing rule)</option>` : '',
+        ...currentOwners.map((owner, position) =>
+            `<option value="${position}" ${selected === position ? 'selected' : ''}>${owner.name}</option>`
+        )
+    ].join('');
+
+    financingSources.forEach((source, index) => {
+        const select = document.getElementById(`financing-owner-${index}`);
+        if (!source || !select) return;
+        select.innerHTML = optionsFor(source.owner, !FINANCING_TYPES[source.sourceType]?.isPerOwner);
+    });
+    renovations.forEach((renovation, index) => {
+        const select = document.getElementById(`renovation-paid-by-${index}`);
+        if (renovation && select) select.innerHTML = optionsFor(renovation.paidBy, true);
+    });
+    const oneTimeCostsSelect = document.getElementById('oneTimeCostsPaidBy');
+    if (oneTimeCostsSelect) oneTimeCostsSelect.innerHTML = optionsFor(oneTimeCostsPaidBy, true);
+}
+
+function renderRenewals(index) {
+    const container = document.getElementById(`financing-renewals-${index}`);
+    const source = financingSources[index];
+    if (!container || !source) return;
+
+    container.innerHTML = source.renewals.map((renewal, r) => `
+        <div class="grid grid-cols-7 gap-2 items-end p-2 bg-gray-50 rounded">
+            <div class="col-span-2">
+                <label class="block text-xs text-gray-500 mb-1">Renewal ${r + 1} term (yrs)</label>
+                <input type="number" class="input-field text-sm" placeholder="Rest"
+                       value="${renewal.lengthMonths ? renewal.lengthMonths / 12 : ''}"
+                       oninput="updateRenewal(${index}, ${r}, 'lengthMonths', (parseFloat(this.value) || 0) * 12)">
+            </div>
+            <div class="col-span-2">
+                <label class="block text-xs text-gray-500 mb-1">Rate (%)</label>
+                <input type="number" class="input-field text-sm" step="0.1" placeholder="5.5"
+                       value="${renewal.rate || ''}"
+                       oninput="updateRenewal(${index}, ${r}, 'rate', parseFloat(this.value) || 0)">
+            </div>
+            <div class="col-span-2">
+                <label class="block text-xs text-gray-500 mb-1">Type</label>
+                <select class="input-field text-sm" onchange="updateRenewal(${index}, ${r}, 'rateType', this.value)">
+                    ${Object.entries(RATE_TYPES).map(([key, config]) =>
+                        `<option value="${key}" ${renewal.rateType === key ? 'selected' : ''}>${config.label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <button onclick="removeRenewal(${index}, ${r})" class="text-red-500 hover:text-red-700 text-sm pb-2">×</button>
+        </div>
+    `).join('');
+}
+
+function addRenewal(index) {
+    const source = financingSources[index];
+    if (!source) return;
+
+    // Default to renewing for 5 years at the latest known rate
+    const lastRate = source.renewals.length > 0
+        ? source.renewals[source.renewals.length - 1].rate
+        : getInputValue(`financing-rate-${index}`);
+    source.renewals.push({ lengthMonths: 60, rate: lastRate, rateType: 'fixed' });
+
+    renderRenewals(index);
+    calculate();
+    saveToStorage();
+}
+
+function updateRenewal(index, renewalIndex, field, value) {
+    const renewal = financingSources[index]?.renewals[renewalIndex];
+    if (!renewal) return;
+    renewal[field] = value;
+    calculate();
+    saveToStorage();
+}
+
+function removeRenewal(index, renewalIndex) {
+    const source = financingSources[index];
+    if (!source) return;
+    source.renewals.splice(renewalIndex, 1);
+    renderRenewals(index);
+    calculate();
+    saveToStorage();
+}
+
+function renderPrimePath(index) {
+    const container = document.getElementById(`financing-prime-path-${index}`);
+    const source = financingSources[index];
+    if (!container || !source) return;
+
+    container.innerHTML = source.primePath.map((change, c) => `
+        <div class="grid grid-cols-5 gap-2 items-end p-2 bg-gray-50 rounded">
+            <div class="col-span-2">
+                <label class="block text-xs text-gray-500 mb-1">From</label>
+                <input type="month" class="input-field text-sm" value="${change.date || ''}"
+                       onchange="updatePrimeRateChange(${index}, ${c}, 'date', this.value)">
+            </div>
+            <div class="col-span-2">
+                <label class="block text-xs text-gray-500 mb-1">Prime (%)</label>
+                <input type="number" class="input-field text-sm" step="0.05" value="${change.rate ?? ''}"
+                       oninput="updatePrimeRateChange(${index}, ${c}, 'rate', parseFloat(this.value) || 0)">
+            </div>
+            <button onclick="removePrimeRateChange(${index}, ${c})" class="text-red-500 hover:text-red-700 text-sm pb-2">×</button>
+        </div>
+    `).join('');
+}
+
+function addPrimeRateChange(index) {
+    const source = financingSources[index];
+    if (!source) return;
+
+    // Default to one year after the last change, at the same prime rate
+    const last = source.primePath[source.primePath.length - 1];
+    source.primePath.push({
+        date: addMonthsToYearMonth(last?.date || source.startDate || getCurrentYearMonth(), 12),
+        rate: last ? last.rate : getInputValue(`financing-prime-${index}`)
+    });
+
+    renderPrimePath(index);
+    calculate();
+    saveToStorage();
+}
+
+function updatePrimeRateChange(index, changeIndex, field, value) {
+    const change = financingSources[index]?.primePath[changeIndex];
+    if (!change) return;
+    change[field] = value;
+    calculate();
+    saveToStorage();
+}
+
+function removePrimeRateChange(index, changeIndex) {
+    const source = financingSources[index];
+    if (!source) return;
+    source.primePath.splice(changeIndex, 1);
+    renderPrimePath(index);
+    calculate();
+    saveToStorage();
+}
+
+function updateLoanScheduleSummaries(schedule) {
+    financingSources.forEach((source, index) => {
+        const summaryEl = document.getElementById(`financing-renewal-summary-${index}`);
+        if (summaryEl) summaryEl.innerHTML = '';
+    });
+
+    schedule.loans.forEach(loan => {
+        const summaryEl = document.getElementById(`financing-renewal-summary-${loan.sourceIndex}`);
+        if (!summaryEl || loan.rows.length === 0) return;
+
+        const parts = loan.rows.filter(row => row.isRenewal || row.isRateChange).map(row =>
+            `${row.isRenewal ? `Term ${row.termNumber}` : 'Rate change'} (month ${row.month}, ${formatPercent(row.rate, 2)}): <span class="font-medium text-gray-700">${formatCurrency(row.payment)}/mo</span>`
+        );
+
+        // Trigger rate at the start: the rate at which interest alone equals the payment
+        const source = financingSources[loan.sourceIndex];
+        if (FINANCING_TYPES[source?.sourceType]?.isVariableRate && source.paymentType === 'fixed') {
+            const triggerRate = (getMonthlyEquivalentPayment(source.periodicPayment, source.paymentFrequency) / loan.amount) * 12 * 100;
+            const triggerRow = loan.rows.find(row => row.isTriggerRate);
+            parts.unshift(`Trigger rate: <span class="font-medium ${triggerRow ? 'text-red-600' : 'text-gray-700'}">${formatPercent(triggerRate, 2)}</span>${triggerRow ? ` (hit in month ${triggerRow.month})` : ''}`);
+        }
+
+        summaryEl.innerHTML = parts.join(' · ');
+    });
+}
+
+/**
+ * Show the loan fields a source needs: family loans add their flexible terms, and a family
+ * gift hides every repayment field.
+ */
+function updateFamilyLoanFields(index) {
+    const source = financingSources[index];
+    if (!source) return;
+    const typeConfig = FINANCING_TYPES[source.sourceType];
+    const isFamilyGift = (typeConfig.hasFamilyTerms || false) && source.isGift;
+
+    const loanFields = document.getElementById(`financing-loan-fields-${index}`);
+    const familyFields = document.getElementById(`financing-family-fields-${index}`);
+    const familyTerms = document.getElementById(`financing-family-terms-${index}`);
+    if (loanFields) loanFields.style.display = typeConfig.isLoan && !isFamilyGift ? 'grid' : 'none';
+    if (familyFields) familyFields.style.display = typeConfig.hasFamilyTerms ? 'block' : 'none';
+    if (familyTerms) familyTerms.style.display = isFamilyGift ? 'none' : 'grid';
+}
+
+// Deferral, interest-only period, forgiveness and balloon of a family loan, for its payment line
+function describeFamilyLoanTerms(source) {
+    const parts = [];
+    if (source.deferralMonths > 0) parts.push(`deferred ${source.deferralMonths} months`);
+    if (source.interestOnlyMonths > 0 && !source.balloonOnSale) parts.push(`interest-only ${source.interestOnlyMonths} months`);
+    if (source.forgivenessAmount > 0 && source.forgivenessYears > 0) {
+        parts.push(`${formatCurrency(source.forgivenessAmount)} forgiven yearly for ${source.forgivenessYears} years`);
+    }
+    if (source.balloonOnSale) parts.push('interest-only, balance repaid on sale');
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
 }
 
 function changeFinancingType(index) {
@@ -1288,14 +2464,41 @@ function changeFinancingType(index) {
         const typeConfig = FINANCING_TYPES[newType];
 
         // Update loan fields visibility
-        const loanFields = document.getElementById(`financing-loan-fields-${index}`);
-        if (loanFields) {
-            loanFields.style.display = typeConfig.isLoan ? 'grid' : 'none';
+        updateFamilyLoanFields(index);
+
+        // Registered accounts belong to one owner, other cash may be shared; only the HBP has
+        // repayments to miss
+        const ownerFields = document.getElementById(`financing-owner-fields-${index}`);
+        const missedYearsField = document.getElementById(`financing-missed-years-field-${index}`);
+        if (ownerFields) ownerFields.style.display = hasSourceOwner(typeConfig) ? 'grid' : 'none';
+        if (missedYearsField) missedYearsField.style.display = typeConfig.repaymentYears ? 'block' : 'none';
+        if (typeConfig.isPerOwner && source.owner === null) source.owner = 0;
+        renderOwnerOptions();
+
+        updateProjectedSavingsFields(index);
+
+        // Variable-rate loans take their rate from the prime path instead of renewals
+        const isVariableRate = typeConfig.isVariableRate || false;
+        const renewalFields = document.getElementById(`financing-renewal-fields-${index}`);
+        const variableFields = document.getElementById(`financing-variable-fields-${index}`);
+        const rateInput = document.getElementById(`financing-rate-${index}`);
+        if (renewalFields) renewalFields.style.display = isVariableRate ? 'none' : 'block';
+        if (variableFields) variableFields.style.display = isVariableRate ? 'block' : 'none';
+        if (rateInput) {
+            rateInput.readOnly = isVariableRate;
+            rateInput.classList.toggle('bg-gray-100', isVariableRate);
+        }
+
+        // Reset compounding to the type's convention
+        if (typeConfig.defaultCompounding) {
+            source.compounding = typeConfig.defaultCompounding;
+            const compoundingSelect = document.getElementById(`financing-compounding-${index}`);
+            if (compoundingSelect) compoundingSelect.value = source.compounding;
         }
 
         // Update auto-calculated status
         source.isAutoCalculated = typeConfig.isAutoCalculated || false;
-        source.isAutoFillMortgage = newType === 'mortgage' && index === 0;
+        source.isAutoFillMortgage = (typeConfig.isMortgage || false) && index === 0;
     }
 }
 
@@ -1347,7 +2550,11 @@ function updateWarningsDisplay() {
         let textColor = 'text-blue-800';
         let icon = 'ℹ️';
 
-        if (w.type === 'warning') {
+        if (w.type === 'error') {
+            bgColor = 'bg-red-50 border-red-200';
+            textColor = 'text-red-800';
+            icon = '⛔';
+        } else if (w.type === 'warning') {
             bgColor = 'bg-yellow-50 border-yellow-200';
             textColor = 'text-yellow-800';
             icon = '⚠️';
@@ -1376,6 +2583,12 @@ function updateWarningsDisplay() {
 function removeFinancingSource(index) {
     const el = document.getElementById(`financing-source-${index}`);
     if (el) el.remove();
+    // Savings are shared by every scenario: keep their loans in place around the gap
+    if (!FINANCING_TYPES[financingSources[index]?.sourceType]?.isLoan) {
+        removeSavingsFromScenarios(financingSources
+            .slice(0, index)
+            .filter(source => source && !FINANCING_TYPES[source.sourceType]?.isLoan).length);
+    }
     financingSources[index] = null;  // Mark as removed but keep indices stable
     calculate();
     saveToStorage();
@@ -1391,7 +2604,8 @@ function addOwner(defaultName = '', savedData = null) {
         carLoanPayment: savedData?.carLoanPayment || 0,
         studentLoanPayment: savedData?.studentLoanPayment || 0,
         personalLoanPayment: savedData?.personalLoanPayment || 0,
-        creditCardPayment: savedData?.creditCardPayment || 0
+        creditCardPayment: savedData?.creditCardPayment || 0,
+        ownershipPercent: savedData?.ownershipPercent || 0
     });
 
     const container = document.getElementById('owners');
@@ -1402,16 +2616,21 @@ function addOwner(defaultName = '', savedData = null) {
         <div class="flex items-center justify-between mb-3">
             <input type="text" id="owner-name-${index}" value="${name}"
                    class="font-semibold text-gray-800 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none px-1"
-                   onchange="owners[${index}].name = this.value; updatePerPersonRatios(); saveToStorage()">
+                   onchange="owners[${index}].name = this.value; renderOwnerOptions(); calculate(); saveToStorage()">
             <button onclick="removeOwner(${index})" class="text-red-500 hover:text-red-700 text-sm px-2">Remove</button>
         </div>
 
-        <div class="grid grid-cols-2 gap-3 mb-3">
+        <div class="grid grid-cols-3 gap-3 mb-3">
             <div>
                 <label class="block text-xs text-gray-500 mb-1">Monthly Gross Income ($)</label>
                 <input type="number" id="owner-income-${index}" class="input-field text-sm"
                        placeholder="0" value="${savedData?.income || ''}" oninput="calculate(); saveToStorage()">
             </div>
+            <div>
+                <label class="block text-xs text-gray-500 mb-1">Ownership (%)</label>
+                <input type="number" id="owner-ownership-${index}" class="input-field text-sm"
+                       placeholder="Equal" value="${savedData?.ownershipPercent || ''}" oninput="calculate(); saveToStorage()">
+            </div>
             <div class="flex items-end">
                 <button onclick="toggleOwnerDebts(${index})" id="owner-debts-toggle-${index}"
                         class="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1">
@@ -1454,6 +2673,7 @@ function addOwner(defaultName = '', savedData = null) {
     `;
 
     container.appendChild(div);
+    renderOwnerOptions();
 }
 
 function toggleOwnerDebts(index) {
@@ -1469,15 +2689,28 @@ function removeOwner(index) {
     if (owners.filter(o => o !== null).length <= 1) return;  // Keep at least one
     const el = document.getElementById(`owner-${index}`);
     if (el) el.remove();
+
+    // Owners are referred to by position: the removed owner's registered accounts go to the
+    // first owner and everything else they paid for becomes shared
+    const position = owners.slice(0, index).filter(o => o !== null).length;
+    const remap = (value, fallback) => value === position ? fallback : value > position ? value - 1 : value;
     owners[index] = null;
+    financingSources.forEach(source => {
+        if (source) source.owner = remap(source.owner, FINANCING_TYPES[source.sourceType]?.isPerOwner ? 0 : null);
+    });
+    renovations.forEach(renovation => {
+        if (renovation) renovation.paidBy = remap(renovation.paidBy, null);
+    });
+    oneTimeCostsPaidBy = remap(oneTimeCostsPaidBy, null);
+    renderOwnerOptions();
     calculate();
     saveToStorage();
 }
 
-function addRenovation(savedDesc = '', savedAmount = null) {
+function addRenovation(savedDesc = '', savedAmount = null, savedPaidBy = null) {
     const index = renovations.length;
 
-    renovations.push({ description: savedDesc, amount: savedAmount || 0 });
+    renovations.push({ description: savedDesc, amount: savedAmount || 0, paidBy: savedPaidBy ?? null });
 
     const container = document.getElementById('renovations');
     const div = document.createElement('div');
@@ -1491,10 +2724,13 @@ function addRenovation(savedDesc = '', savedAmount = null) {
         <input type="number" id="renovation-amount-${index}" class="w-28 input-field text-sm"
                placeholder="0" value="${savedAmount || ''}"
                oninput="renovations[${index}].amount = parseFloat(this.value) || 0; calculate(); saveToStorage()">
+        <select id="renovation-paid-by-${index}" class="w-40 input-field text-sm" title="Paid by"
+                onchange="renovations[${index}].paidBy = parseOwnerPosition(this.value); calculate(); saveToStorage()"></select>
         <button onclick="removeRenovation(${index})" class="text-red-500 hover:text-red-700 text-sm">×</button>
     `;
 
     container.appendChild(div);
+    renderOwnerOptions();
 }
 
 function removeRenovation(index) {
@@ -1515,15 +2751,165 @@ function suggestUpkeep() {
     }
 }
 
-// =============================================================================
-// SCENARIO MANAGEMENT FUNCTIONS
-// =============================================================================
-
+// =============================================================================
+// SCENARIO MANAGEMENT FUNCTIONS
+// =============================================================================
+
+/**
+ * Snapshot of the scenario inputs currently in the form. Each loan records how many of the
+ * household's savings come before it in the financing list (savingsBefore), so it can be
+ * merged back between the savings even after some are added or removed.
+ */
+function getScenarioInputs() {
+    const inputs = {};
+    SCENARIO_NUMBER_INPUTS.forEach(id => {
+        inputs[id] = getInputValue(id);
+    });
+
+    inputs.closingDate = document.getElementById('closingDate').value;
+    inputs.province = document.getElementById('province').value;
+    inputs.municipality = document.getElementById('municipality').value;
+    inputs.downPaymentMode = downPaymentMode;
+    inputs.is30Year = document.getElementById('is30Year')?.checked || false;
+    inputs.isNewBuild = document.getElementById('isNewBuild')?.checked || false;
+    let savingsBefore = 0;
+    inputs.loans = [];
+    financingSources.filter(s => s !== null).forEach(s => {
+        if (FINANCING_TYPES[s.sourceType]?.isLoan) inputs.loans.push({ ...serializeFinancingSource(s), savingsBefore });
+        else savingsBefore++;
+    });
+    inputs.renovations = renovations.filter(r => r !== null).map(r => ({
+        description: r.description,
+        amount: r.amount,
+        paidBy: r.paidBy
+    }));
+
+    return inputs;
+}
+
+/**
+ * Load scenario inputs into the form. The financing list is rebuilt from the household's
+ * savings plus the scenario's loans; owners are left untouched.
+ */
+function applyScenarioInputs(inputs) {
+    SCENARIO_NUMBER_INPUTS.forEach(id => {
+        document.getElementById(id).value = inputs[id] || '';
+    });
+
+    document.getElementById('closingDate').value = inputs.closingDate || '';
+    setJurisdictionInputs(inputs.province, inputs.municipality);
+    downPaymentMode = inputs.downPaymentMode || 'amount';
+    updateDownPaymentModeButtons();
+    updateDownPaymentConverted();
+    document.getElementById('is30Year').checked = inputs.is30Year || false;
+    document.getElementById('isNewBuild').checked = inputs.isNewBuild || false;
+
+    const savings = financingSources
+        .filter(s => s !== null && !FINANCING_TYPES[s.sourceType]?.isLoan)
+        .map(serializeFinancingSource);
+    const merged = mergeScenarioLoans(savings, inputs.loans || []);
+
+    financingSources = [];
+    document.getElementById('financingSources').innerHTML = '';
+    merged.forEach(source => {
+        const options = {
+            isAutoFillMortgage: source.isAutoFillMortgage,
+            isAutoCalculated: source.isAutoCalculated
+        };
+        addFinancingSource(source.name, source.sourceType, options, source);
+    });
+
+    renovations = [];
+    document.getElementById('renovations').innerHTML = '';
+    (inputs.renovations || []).forEach(reno => addRenovation(reno.description, reno.amount, reno.paidBy));
+}
+
+/**
+ * The financing list: every loan placed after its savingsBefore savings (after the last
+ * saving if fewer remain), loans at the same place keeping their order.
+ */
+function mergeScenarioLoans(savings, loans) {
+    const merged = [];
+    savings.forEach((saving, position) => {
+        merged.push(...loans.filter(loan => loan.savingsBefore === position), saving);
+    });
+    merged.push(...loans.filter(loan => !(loan.savingsBefore < savings.length)));
+    return merged;
+}
+
+/**
+ * Older saves placed loans by their index in the whole financing list (order); count the
+ * savings before each one instead.
+ */
+function migrateScenarioLoans(loans) {
+    if (!loans) return loans;
+    return loans.map(({ order, ...loan }) => (order === undefined ? loan : {
+        ...loan,
+        savingsBefore: loan.savingsBefore ?? order - loans.filter(other => other.order < order).length
+    }));
+}
+
+/**
+ * A savings source at a position among the savings was removed: move the loans that came
+ * after it in the baseline and in every scenario back by one.
+ */
+function removeSavingsFromScenarios(position) {
+    const shift = loans => loans?.forEach(loan => {
+        if (loan.savingsBefore > position) loan.savingsBefore--;
+    });
+    shift(householdBaseline?.loans);
+    scenarios.forEach(scenario => shift(scenario.overrides.loans));
+}
+
+/**
+ * Keep only the inputs that differ from the household baseline.
+ */
+function getScenarioOverrides(inputs) {
+    const overrides = {};
+    Object.keys(inputs).forEach(key => {
+        if (JSON.stringify(inputs[key]) !== JSON.stringify(householdBaseline[key])) {
+            overrides[key] = inputs[key];
+        }
+    });
+    return overrides;
+}
+
+function getEffectiveScenarioInputs(scenario) {
+    return { ...householdBaseline, ...scenario.overrides };
+}
+
+/**
+ * The household's savings as on screen, in financing-list order.
+ */
+function getHouseholdSavings() {
+    return financingSources
+        .map((source, index) => source && readFinancingSourceState(index))
+        .filter(source => source && !FINANCING_TYPES[source.sourceType]?.isLoan);
+}
+
+/**
+ * Calculation state for a scenario that is not on screen: its inputs, the household's
+ * savings merged between its loans, and the shared household state.
+ */
+function getScenarioState(inputs, household, savings) {
+    const { loans = [], ...scenarioInputs } = inputs;
+    const financing = mergeScenarioLoans(savings, loans);
+
+    return {
+        ...household,
+        ...scenarioInputs,
+        financingSources: financing.map((source, index) => ({ ...source, index }))
+    };
+}
+
 function addScenario(savedOfferPrice = null, savedLabel = null) {
-    const offerPrice = savedOfferPrice || getInputValue('offerPrice') || 500000;
-    const label = savedLabel || formatCurrency(offerPrice);
+    // New scenarios start as a copy of the one on screen
+    updateCurrentScenario();
+    const inputs = getScenarioInputs();
+    inputs.offerPrice = savedOfferPrice || inputs.offerPrice || 500000;
+    const label = savedLabel || formatCurrency(inputs.offerPrice);
 
-    scenarios.push({ offerPrice, label });
+    scenarios.push({ label, overrides: getScenarioOverrides(inputs) });
 
     renderScenarioTabs();
     saveToStorage();
@@ -1535,20 +2921,30 @@ function removeScenario(index) {
         return;
     }
 
+    const removedCurrent = index === currentScenarioIndex;
     scenarios.splice(index, 1);
-    delete scenarioResults[index];
+    scenarioResults = {};
 
     // Adjust current index if needed
-    if (currentScenarioIndex >= scenarios.length) {
+    if (typeof currentScenarioIndex === 'number' && index < currentScenarioIndex) {
+        currentScenarioIndex--;
+    }
+    if (typeof currentScenarioIndex === 'number' && currentScenarioIndex >= scenarios.length) {
         currentScenarioIndex = scenarios.length - 1;
     }
 
-    renderScenarioTabs();
-    switchToScenario(currentScenarioIndex);
+    if (removedCurrent) {
+        // The form still shows the removed scenario: load the new current one without saving it
+        loadScenario(currentScenarioIndex);
+    } else {
+        renderScenarioTabs();
+    }
     saveToStorage();
 }
 
 function switchToScenario(index) {
+    updateCurrentScenario();
+
     if (index === 'comparison') {
         currentScenarioIndex = 'comparison';
         showComparisonView();
@@ -1556,16 +2952,19 @@ function switchToScenario(index) {
         return;
     }
 
-    currentScenarioIndex = index;
+    loadScenario(index);
+    saveToStorage();
+}
 
-    // Set the offer price from the scenario
-    document.getElementById('offerPrice').value = scenarios[index].offerPrice;
+function loadScenario(index) {
+    currentScenarioIndex = index;
+    applyScenarioInputs(getEffectiveScenarioInputs(scenarios[index]));
 
     // Hide comparison view, show regular view
     document.getElementById('comparisonView').classList.add('hidden');
     document.getElementById('regularView').classList.remove('hidden');
 
-    // Recalculate with the new offer price
+    // Recalculate with the scenario's inputs
     calculate();
 
     renderScenarioTabs();
@@ -1608,11 +3007,28 @@ function finishEditingScenarioLabel(index) {
     }
 }
 
-function updateCurrentScenarioPrice() {
-    if (currentScenarioIndex !== 'comparison' && scenarios[currentScenarioIndex]) {
-        const newPrice = getInputValue('offerPrice');
-        scenarios[currentScenarioIndex].offerPrice = newPrice;
-        saveToStorage();
+/**
+ * Make a scenario's inputs the household baseline. Every scenario keeps its inputs; only
+ * what it overrides is recomputed against the new baseline.
+ */
+function setScenarioAsBaseline(index) {
+    updateCurrentScenario();
+    const effectiveInputs = scenarios.map(getEffectiveScenarioInputs);
+    householdBaseline = JSON.parse(JSON.stringify(effectiveInputs[index]));
+    scenarios.forEach((scenario, i) => {
+        scenario.overrides = getScenarioOverrides(effectiveInputs[i]);
+    });
+
+    renderScenarioTabs();
+    saveToStorage();
+}
+
+/**
+ * Record the form's scenario inputs as the current scenario's overrides.
+ */
+function updateCurrentScenario() {
+    if (currentScenarioIndex !== 'comparison' && scenarios[currentScenarioIndex] && householdBaseline) {
+        scenarios[currentScenarioIndex].overrides = getScenarioOverrides(getScenarioInputs());
     }
 }
 
@@ -1632,6 +3048,9 @@ function renderScenarioTabs() {
         // Make tabs draggable
         tab.draggable = true;
         tab.dataset.index = index;
+        tab.title = Object.keys(scenario.overrides).length > 0
+            ? `Overrides: ${Object.keys(scenario.overrides).join(', ')}`
+            : 'Same as household baseline';
 
         tab.innerHTML = `
             <div class="flex items-center gap-2 flex-1" onclick="switchToScenario(${index})">
@@ -1671,6 +3090,16 @@ function renderScenarioTabs() {
     addButton.onclick = () => addScenario();
     container.appendChild(addButton);
 
+    // Make the scenario on screen the baseline the others inherit from
+    if (currentScenarioIndex !== 'comparison') {
+        const baselineButton = document.createElement('button');
+        baselineButton.className = 'px-3 py-2 text-sm text-indigo-600 border border-indigo-300 rounded-lg hover:border-indigo-500 hover:bg-indigo-50';
+        baselineButton.textContent = 'Set as Baseline';
+        baselineButton.title = 'Make this scenario\'s inputs the household baseline; the other scenarios keep their own inputs';
+        baselineButton.onclick = () => setScenarioAsBaseline(currentScenarioIndex);
+        container.appendChild(baselineButton);
+    }
+
     // Add comparison tab
     const comparisonTab = document.createElement('div');
     comparisonTab.className = currentScenarioIndex === 'comparison'
@@ -1681,20 +3110,14 @@ function renderScenarioTabs() {
 }
 
 function showComparisonView() {
-    // Calculate all scenarios
-    const currentOfferPrice = getInputValue('offerPrice');
+    // Every scenario runs through the calculation core with the household's owners and savings
+    const household = readHouseholdState();
+    const savings = getHouseholdSavings();
 
     scenarios.forEach((scenario, index) => {
-        // Temporarily set offer price to calculate
-        document.getElementById('offerPrice').value = scenario.offerPrice;
-
-        // Store the calculation results
-        scenarioResults[index] = performCalculation();
+        scenarioResults[index] = calculateScenario(getScenarioState(getEffectiveScenarioInputs(scenario), household, savings));
     });
 
-    // Restore original offer price
-    document.getElementById('offerPrice').value = currentOfferPrice;
-
     // Render comparison table
     renderComparisonTable();
 
@@ -1773,190 +3196,347 @@ function handleDragEnd(e) {
     });
 }
 
+// =============================================================================
+// SCENARIO COMPARISON
+// =============================================================================
+
+// better: which direction wins when highlighting the best and worst scenario (none for inputs)
+const COMPARISON_METRICS = [
+    { label: 'Offer Price', key: 'offerPrice', format: 'currency', value: r => r.offerPrice },
+    { label: 'Down Payment Needed', key: 'downPayment', format: 'currency', value: r => r.downPayment },
+    { label: 'CMHC Premium (incl. tax)', key: 'cmhcPremium', format: 'currency', better: 'lower', value: r => r.cmhc.totalCmhcCost },
+    { label: 'Mortgage Amount', key: 'totalMortgage', format: 'currency', better: 'lower', value: r => r.cmhc.totalMortgage },
+    { label: 'Land Transfer Tax', key: 'welcomeTax', format: 'currency', better: 'lower', value: r => r.welcomeTax.totalTax },
+    { label: 'Total Cash Needed', key: 'totalCashNeeded', format: 'currency', better: 'lower', value: r => r.downPayment + r.totalOneTime },
+    { label: 'Monthly Mortgage Payment', key: 'mortgagePayment', format: 'currency', better: 'lower', value: r => r.mortgagePayment },
+    { label: 'Monthly RRSP Repayment', key: 'rrspMonthlyRepayment', format: 'currency', better: 'lower', value: r => r.rrspMonthlyRepayment },
+    { label: 'Monthly Parent\'s Loan Payment', key: 'parentsLoanPayment', format: 'currency', better: 'lower', value: r => r.parentsLoanPayment },
+    { label: 'Total Monthly Payment', key: 'totalMonthlyCosts', format: 'currency', better: 'lower', value: r => r.totalMonthlyCosts },
+    { label: 'Housing Cost Ratio', key: 'housingCostRatio', format: 'percent', better: 'lower', value: r => r.housingCostRatio },
+    { label: 'Lifetime Interest', key: 'lifetimeInterest', format: 'currency', better: 'lower', value: r => r.lifetimeInterest }
+];
+
+const SCENARIO_COLORS = ['#3b82f6', '#f97316', '#10b981', '#8b5cf6', '#ef4444', '#eab308', '#06b6d4', '#ec4899'];
+
+/**
+ * Fixed metrics plus GDS/TDS for every owner (owners are shared, so every scenario has the same ones).
+ */
+function getComparisonMetrics() {
+    const firstResult = scenarioResults[0];
+    const ownerMetrics = (firstResult?.qualification.owners || []).flatMap((owner, i) => [
+        { label: `GDS – ${owner.name}`, key: `gds-${i}`, format: 'percent', better: 'lower', value: r => r.qualification.owners[i]?.gdsRatio },
+        { label: `TDS – ${owner.name}`, key: `tds-${i}`, format: 'percent', better: 'lower', value: r => r.qualification.owners[i]?.tdsRatio }
+    ]);
+    return [...COMPARISON_METRICS, ...ownerMetrics];
+}
+
+function getComparisonBaselineIndex() {
+    return comparisonSettings.baselineIndex < scenarios.length ? comparisonSettings.baselineIndex : 0;
+}
+
+function formatComparisonValue(value, format) {
+    return format === 'percent' ? value.toFixed(1) + '%' : formatCurrency(value);
+}
+
+function formatComparisonDelta(delta, format) {
+    const sign = delta > 0 ? '+' : '−';
+    return format === 'percent'
+        ? `${sign}${Math.abs(delta).toFixed(1)} pts`
+        : `${sign}${formatCurrency(Math.abs(delta))}`;
+}
+
+function renderComparisonControls(metrics) {
+    const baselineSelect = document.getElementById('comparisonBaseline');
+    if (baselineSelect) {
+        baselineSelect.innerHTML = scenarios.map((scenario, index) =>
+            `<option value="${index}" ${index === getComparisonBaselineIndex() ? 'selected' : ''}>${scenario.label}</option>`
+        ).join('');
+    }
+
+    const picker = document.getElementById('comparisonMetricPicker');
+    if (picker) {
+        picker.innerHTML = metrics.map(metric => `
+            <label class="flex items-center">
+                <input type="checkbox" class="mr-1" ${comparisonSettings.hiddenMetrics.includes(metric.key) ? '' : 'checked'}
+                    onchange="toggleComparisonMetric('${metric.key}', this.checked)">
+                ${metric.label}
+            </label>
+        `).join('');
+    }
+}
+
+function setComparisonBaseline(value) {
+    comparisonSettings.baselineIndex = parseInt(value) || 0;
+    renderComparisonTable();
+    saveToStorage();
+}
+
+function toggleComparisonMetric(key, visible) {
+    const hidden = comparisonSettings.hiddenMetrics.filter(k => k !== key);
+    comparisonSettings.hiddenMetrics = visible ? hidden : [...hidden, key];
+    renderComparisonTable();
+    saveToStorage();
+}
+
 function renderComparisonTable() {
     const table = document.querySelector('#comparisonView table');
     const tbody = document.getElementById('comparisonTableBody');
     if (!table || !tbody) return;
 
+    const baselineIndex = getComparisonBaselineIndex();
+    const metrics = getComparisonMetrics();
+    renderComparisonControls(metrics);
+
     // Update table header with scenario columns
     const thead = table.querySelector('thead tr');
     thead.innerHTML = `
         <th class="px-4 py-2 text-left font-semibold text-gray-700 border-b">Metric</th>
-        ${scenarios.map(scenario => `
-            <th class="px-4 py-2 text-right font-semibold text-gray-700 border-b">${scenario.label}</th>
+        ${scenarios.map((scenario, index) => `
+            <th class="px-4 py-2 text-right font-semibold text-gray-700 border-b">
+                ${scenario.label}
+                ${index === baselineIndex && scenarios.length > 1 ? '<div class="text-xs font-normal text-gray-500">baseline</div>' : ''}
+            </th>
         `).join('')}
     `;
 
     tbody.innerHTML = '';
 
-    // Define metrics to compare
-    const metrics = [
-        { label: 'Offer Price', key: 'offerPrice', format: 'currency' },
-        { label: 'Down Payment Needed', key: 'downPaymentAmount', format: 'currency' },
-        { label: 'Mortgage Amount', key: 'totalMortgage', format: 'currency' },
-        { label: 'Monthly Mortgage Payment', key: 'mortgagePayment', format: 'currency' },
-        { label: 'Monthly RRSP Repayment', key: 'rrspRepayment', format: 'currency' },
-        { label: 'Monthly Parent\'s Loan Payment', key: 'parentsLoanPayment', format: 'currency' },
-        { label: 'Total Monthly Payment', key: 'totalMonthlyPayment', format: 'currency' },
-        { label: 'Housing Cost Ratio', key: 'housingCostRatio', format: 'percent' }
-    ];
+    metrics.filter(metric => !comparisonSettings.hiddenMetrics.includes(metric.key)).forEach(metric => {
+        const values = scenarios.map((_, index) => {
+            const result = scenarioResults[index];
+            const value = result ? metric.value(result) : undefined;
+            return value !== undefined && !isNaN(value) ? value : null;
+        });
+
+        // Best/worst only make sense when the scenarios actually differ
+        const validValues = values.filter(value => value !== null);
+        let best = null;
+        let worst = null;
+        if (metric.better && validValues.length > 1 && Math.max(...validValues) - Math.min(...validValues) > 0.005) {
+            best = metric.better === 'lower' ? Math.min(...validValues) : Math.max(...validValues);
+            worst = metric.better === 'lower' ? Math.max(...validValues) : Math.min(...validValues);
+        }
+        const baselineValue = values[baselineIndex];
 
-    metrics.forEach(metric => {
         const row = document.createElement('tr');
         row.innerHTML = `
             <td class="px-4 py-2 font-medium text-gray-700 border-b">${metric.label}</td>
-            ${scenarios.map((_, index) => {
-                const result = scenarioResults[index];
-                let value = '';
-
-                if (result && result[metric.key] !== undefined && !isNaN(result[metric.key])) {
-                    if (metric.format === 'currency') {
-                        value = formatCurrency(result[metric.key]);
-                    } else if (metric.format === 'percent') {
-                        value = result[metric.key].toFixed(1) + '%';
-                    } else {
-                        value = result[metric.key];
-                    }
-                } else {
-                    value = '—';  // Em dash for missing/invalid values
+            ${values.map((value, index) => {
+                if (value === null) {
+                    return '<td class="px-4 py-2 border-b text-right">—</td>';  // Em dash for missing/invalid values
                 }
 
-                // Add color coding for affordability ratio
                 let cellClass = 'px-4 py-2 border-b text-right';
-                if (metric.key === 'housingCostRatio' && result && !isNaN(result[metric.key])) {
-                    const ratio = result[metric.key];
-                    if (ratio <= 30) cellClass += ' text-green-600 font-semibold';
-                    else if (ratio <= 40) cellClass += ' text-yellow-600 font-semibold';
-                    else cellClass += ' text-red-600 font-semibold';
+                if (value === best) cellClass += ' bg-green-50';
+                else if (value === worst) cellClass += ' bg-red-50';
+
+                // Add color coding for affordability ratio
+                let valueClass = '';
+                if (metric.key === 'housingCostRatio') {
+                    if (value <= 30) valueClass = 'text-green-600 font-semibold';
+                    else if (value <= 40) valueClass = 'text-yellow-600 font-semibold';
+                    else valueClass = 'text-red-600 font-semibold';
+                }
+
+                // Difference from the baseline scenario
+                let deltaHtml = '';
+                const delta = baselineValue !== null ? value - baselineValue : 0;
+                if (index !== baselineIndex && Math.abs(delta) > 0.005) {
+                    const improves = metric.better === 'lower' ? delta < 0 : delta > 0;
+                    const deltaClass = !metric.better ? 'text-gray-500' : improves ? 'text-green-600' : 'text-red-600';
+                    deltaHtml = `<div class="text-xs ${deltaClass}">${formatComparisonDelta(delta, metric.format)}</div>`;
                 }
 
-                return `<td class="${cellClass}">${value}</td>`;
+                return `<td class="${cellClass}"><span class="${valueClass}">${formatComparisonValue(value, metric.format)}</span>${deltaHtml}</td>`;
             }).join('')}
         `;
         tbody.appendChild(row);
     });
-}
-
-function performCalculation() {
-    // This function performs the calculation and returns key results
-    // without updating the UI
-    const offerPrice = getInputValue('offerPrice');
-    const downPaymentAmount = getDownPaymentAmount();
-    const is30Year = document.getElementById('is30Year')?.checked || false;
 
-    // Calculate CMHC
-    const cmhcResult = calculateCmhc(offerPrice, downPaymentAmount, is30Year);
-
-    // Process financing sources to get monthly payments
-    let mortgagePayment = 0;
-    let rrspRepayment = 0;
-    let parentsLoanPayment = 0;
+    updateComparisonCharts();
+}
 
-    financingSources.forEach((source, index) => {
-        if (!source) return;
-
-        const sourceType = source.sourceType;
-        const typeConfig = FINANCING_TYPES[sourceType];
-
-        if (sourceType === 'mortgage' && source.isAutoFillMortgage) {
-            const amount = cmhcResult.totalMortgage || 0;
-            const rate = getInputValue(`financing-rate-${index}`);
-            const termYears = getInputValue(`financing-term-${index}`);
-            const termMonths = termYears * 12;
-            const result = calculateMonthlyPayment(amount, rate, termMonths);
-            mortgagePayment = result.monthlyPayment || 0;
-        } else if (sourceType === 'parents_loan' && source.isAutoCalculated) {
-            // First need to calculate the parent's loan amount
-            // Read all savings that count toward down payment
-            let totalSavingsForDownPayment = 0;
-            financingSources.forEach((s, i) => {
-                if (!s) return;
-                const sType = s.sourceType;
-                const sConfig = FINANCING_TYPES[sType];
-                if (sConfig && sConfig.countsTowardDownPayment && !sConfig.isAutoCalculated) {
-                    const sAmount = getInputValue(`financing-amount-${i}`);
-                    totalSavingsForDownPayment += sAmount;
+function initComparisonCharts() {
+    const yearAxis = {
+        title: {
+            display: true,
+            text: 'Year'
+        }
+    };
+    const currencyAxis = text => ({
+        title: {
+            display: true,
+            text
+        },
+        ticks: {
+            callback: function (value) {
+                return '$' + value.toLocaleString();
+            }
+        }
+    });
+    const options = yAxisTitle => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+            x: yearAxis,
+            y: currencyAxis(yAxisTitle)
+        },
+        plugins: {
+            tooltip: {
+                callbacks: {
+                    title: function (context) {
+                        return `Year ${context[0].label}`;
+                    },
+                    label: function (context) {
+                        return context.dataset.label + ': ' + formatCurrency(context.raw);
+                    }
                 }
-            });
-            
-            // Calculate total cash needed (down payment + renovations + one-time costs)
-            const totalRenovations = renovations.filter(r => r !== null).reduce((sum, r) => sum + (r.amount || 0), 0);
-            const notaryFees = getInputValue('notaryFees');
-            const movingBase = getInputValue('movingBase');
-            const squareFootage = getInputValue('squareFootage');
-            const paintPerSqft = getInputValue('paintPerSqft');
-            const paintTotal = squareFootage * paintPerSqft;
-            const totalMovingCost = movingBase + paintTotal;
-            const welcomeTax = calculateWelcomeTax(downPaymentAmount + cmhcResult.totalMortgage).totalTax;
-            const totalOneTime = welcomeTax + notaryFees + totalMovingCost + totalRenovations;
-            const totalCashNeeded = downPaymentAmount + totalRenovations + totalOneTime;
-            const cashGap = Math.max(0, totalCashNeeded - totalSavingsForDownPayment);
-
-            if (cashGap > 0) {
-                const rate = getInputValue(`financing-rate-${index}`);
-                const termYears = getInputValue(`financing-term-${index}`);
-                const termMonths = termYears * 12;
-                const result = calculateMonthlyPayment(cashGap, rate, termMonths);
-                parentsLoanPayment = result.monthlyPayment || 0;
+            },
+            legend: {
+                display: true,
+                position: 'bottom'
             }
-        } else if (sourceType === 'rrsp') {
-            const amount = getInputValue(`financing-amount-${index}`);
-            rrspRepayment = (amount / 15) / 12;
+        },
+        interaction: {
+            mode: 'index',
+            intersect: false
         }
     });
 
-    // Calculate recurring costs
-    const insurance = getInputValue('insurance');
-    const electricity = getInputValue('electricity');
-    const upkeep = getInputValue('upkeep');
-    const cityTaxesAnnual = getInputValue('cityTaxes');
-    const cityTaxesMonthly = cityTaxesAnnual / 12;
-    const recurringCosts = insurance + electricity + upkeep + cityTaxesMonthly;
+    comparisonPaymentChart = new Chart(document.getElementById('comparisonPaymentChart').getContext('2d'), {
+        type: 'line',
+        data: { labels: [], datasets: [] },
+        options: options('Average Monthly Cost ($)')
+    });
+    comparisonEquityChart = new Chart(document.getElementById('comparisonEquityChart').getContext('2d'), {
+        type: 'line',
+        data: { labels: [], datasets: [] },
+        options: options('Equity ($)')
+    });
+}
+
+/**
+ * Overlay every scenario: average monthly cost (loan payments, prepayments and ownership
+ * costs) for each year, and equity (projected value minus remaining debt) at each year end.
+ */
+function updateComparisonCharts() {
+    if (!comparisonPaymentChart || !comparisonEquityChart) return;
+
+    const years = CHART_HORIZON_MONTHS / 12;
+    const lineStyle = index => ({
+        borderColor: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+        backgroundColor: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+        borderWidth: 2,
+        fill: false,
+        tension: 0.1,
+        pointRadius: 0
+    });
+
+    comparisonPaymentChart.data.labels = Array.from({ length: years }, (_, i) => i + 1);
+    comparisonPaymentChart.data.datasets = scenarios.map((scenario, index) => {
+        const result = scenarioResults[index];
+        return {
+            label: scenario.label,
+            data: Array.from({ length: years }, (_, year) => {
+                if (!result) return 0;
+                const yearRows = result.schedule.rows.slice(year * 12, (year + 1) * 12);
+                const loanPayments = yearRows.reduce((sum, row) => sum + row.payment + row.prepayment, 0);
+                return loanPayments / 12 + result.ownershipCosts;
+            }),
+            ...lineStyle(index)
+        };
+    });
+    comparisonPaymentChart.update();
+
+    comparisonEquityChart.data.labels = Array.from({ length: years + 1 }, (_, i) => i);
+    comparisonEquityChart.data.datasets = scenarios.map((scenario, index) => {
+        const result = scenarioResults[index];
+        return {
+            label: scenario.label,
+            data: result ? result.propertyValues.map((value, year) => value - result.remainingDebt[year]) : [],
+            ...lineStyle(index)
+        };
+    });
+    comparisonEquityChart.update();
+}
+
+// =============================================================================
+// SAVINGS PLAN FUNCTIONS
+// =============================================================================
+
+function isSavingsPlanOn() {
+    return document.getElementById('savingsPlan')?.checked || false;
+}
+
+// CELIAPP amounts are always projected; other savings only under the savings plan
+function isProjectedSavings(typeConfig) {
+    return typeConfig.hasContributionRoom || (isSavingsPlanOn() && followsSavingsPlan(typeConfig)) || false;
+}
 
-    // Also need to include all other loan payments
-    // NOTE: RRSP repayment is NOT included here to match the main calculate() function
-    // RRSP repayment is tracked separately but not included in monthly costs
-    let totalLoanPayments = mortgagePayment + parentsLoanPayment;
+/**
+ * Show the projection inputs a source needs and lock its amount while it is projected.
+ */
+function updateProjectedSavingsFields(index) {
+    const source = financingSources[index];
+    if (!source) return;
+    const typeConfig = FINANCING_TYPES[source.sourceType];
+
+    const fhsaFields = document.getElementById(`financing-fhsa-fields-${index}`);
+    const planFields = document.getElementById(`financing-plan-fields-${index}`);
+    const amountInput = document.getElementById(`financing-amount-${index}`);
+    if (fhsaFields) fhsaFields.style.display = typeConfig.hasContributionRoom ? 'grid' : 'none';
+    if (planFields) planFields.style.display = isSavingsPlanOn() && followsSavingsPlan(typeConfig) ? 'grid' : 'none';
+    if (amountInput && !source.isAutoFillMortgage && !typeConfig.isAutoCalculated) {
+        const isProjected = isProjectedSavings(typeConfig);
+        amountInput.readOnly = isProjected;
+        amountInput.classList.toggle('bg-gray-100', isProjected);
+    }
+}
 
-    // Add other loans (not mortgage, not parent's loan, not RRSP)
+function toggleSavingsPlan() {
+    // Sources without a plan yet start from the amount they hold today, and go back to it
+    // when the plan is turned off
     financingSources.forEach((source, index) => {
-        if (!source) return;
-        const sourceType = source.sourceType;
-        const typeConfig = FINANCING_TYPES[sourceType];
-
-        if (typeConfig && typeConfig.isLoan && sourceType !== 'mortgage' && sourceType !== 'parents_loan') {
-            const amount = getInputValue(`financing-amount-${index}`);
-            if (amount > 0) {
-                const rate = getInputValue(`financing-rate-${index}`);
-                const termYears = getInputValue(`financing-term-${index}`);
-                const termMonths = termYears * 12;
-                const result = calculateMonthlyPayment(amount, rate, termMonths);
-                totalLoanPayments += result.monthlyPayment || 0;
-            }
+        if (!source || !followsSavingsPlan(FINANCING_TYPES[source.sourceType])) return;
+        const balanceInput = document.getElementById(`financing-plan-balance-${index}`);
+        const amountInput = document.getElementById(`financing-amount-${index}`);
+        if (isSavingsPlanOn() && !balanceInput.value && source.amount > 0) {
+            balanceInput.value = Math.round(source.amount);
+        } else if (!isSavingsPlanOn() && balanceInput.value) {
+            amountInput.value = balanceInput.value;
         }
+        updateProjectedSavingsFields(index);
     });
+    calculate();
+    saveToStorage();
+}
 
-    const totalMonthlyPayment = totalLoanPayments + recurringCosts;
-
-    // Calculate affordability ratio
-    const totalMonthlyIncome = owners.filter(o => o !== null).reduce((sum, owner) => {
-        return sum + (parseFloat(owner.income) || 0);
-    }, 0);
+function updateSavingsPlanDisplay(savingsPlan) {
+    const container = document.getElementById('savingsPlanResult');
+    if (!container) return;
 
-    const housingCostRatio = totalMonthlyIncome > 0
-        ? (totalMonthlyPayment / totalMonthlyIncome) * 100
-        : 0;
+    if (!savingsPlan) {
+        container.classList.add('hidden');
+        return;
+    }
 
-    return {
-        offerPrice,
-        downPaymentAmount,
-        totalMortgage: cmhcResult.totalMortgage,
-        mortgagePayment,
-        rrspRepayment,
-        parentsLoanPayment,
-        totalMonthlyPayment,
-        housingCostRatio
-    };
+    const { targetDate, cashNeeded, savingsAtTarget, shortfall, earliest } = savingsPlan;
+    const readiness = shortfall > 0
+        ? `<span class="font-semibold text-orange-700">${formatCurrency(shortfall)} short</span>`
+        : '<span class="font-semibold text-green-700">Ready</span>';
+    const earliestText = earliest
+        ? `${formatYearMonth(earliest.date.slice(0, 7))}${earliest.months > 0 ? ` (in ${formatMonthsDuration(earliest.months)})` : ' (now)'}`
+        : `Not within ${SAVINGS_PLAN_MAX_MONTHS / 12} years`;
+
+    container.innerHTML = `
+        <div class="mb-1">At closing (${formatDate(targetDate)}): ${readiness}</div>
+        <div class="grid grid-cols-2 gap-2 text-gray-600">
+            <div>Projected savings: <span class="font-medium text-gray-800">${formatCurrency(savingsAtTarget)}</span></div>
+            <div>Cash needed: <span class="font-medium text-gray-800">${formatCurrency(cashNeeded)}</span></div>
+            <div class="col-span-2">Earliest month savings cover it: <span class="font-medium text-gray-800">${earliestText}</span></div>
+        </div>
+    `;
+    container.classList.remove('hidden');
 }
 
 // =============================================================================
@@ -1967,28 +3547,15 @@ function setDownPaymentMode(mode) {
     const offerPrice = getInputValue('offerPrice');
     const currentValue = getInputValue('downPayment');
 
-    // Update button styles
-    const amountBtn = document.getElementById('downPaymentModeAmount');
-    const percentBtn = document.getElementById('downPaymentModePercent');
     const input = document.getElementById('downPayment');
 
     if (mode === 'amount') {
-        amountBtn.className = 'px-3 py-2 text-sm bg-blue-500 text-white';
-        percentBtn.className = 'px-3 py-2 text-sm bg-gray-100 text-gray-700 hover:bg-gray-200';
-        input.placeholder = '50,000';
-        input.step = '1000';
-
         // Convert from percent to amount if switching modes
         if (downPaymentMode === 'percent' && offerPrice > 0 && currentValue > 0) {
             const amount = (currentValue / 100) * offerPrice;
             input.value = Math.round(amount);
         }
     } else {
-        amountBtn.className = 'px-3 py-2 text-sm bg-gray-100 text-gray-700 hover:bg-gray-200';
-        percentBtn.className = 'px-3 py-2 text-sm bg-blue-500 text-white';
-        input.placeholder = '10';
-        input.step = '0.5';
-
         // Convert from amount to percent if switching modes
         if (downPaymentMode === 'amount' && offerPrice > 0 && currentValue > 0) {
             const percent = (currentValue / offerPrice) * 100;
@@ -1997,11 +3564,30 @@ function setDownPaymentMode(mode) {
     }
 
     downPaymentMode = mode;
+    updateDownPaymentModeButtons();
     updateDownPaymentConverted();
     calculate();
     saveToStorage();
 }
 
+function updateDownPaymentModeButtons() {
+    const amountBtn = document.getElementById('downPaymentModeAmount');
+    const percentBtn = document.getElementById('downPaymentModePercent');
+    const input = document.getElementById('downPayment');
+
+    if (downPaymentMode === 'amount') {
+        amountBtn.className = 'px-3 py-2 text-sm bg-blue-500 text-white';
+        percentBtn.className = 'px-3 py-2 text-sm bg-gray-100 text-gray-700 hover:bg-gray-200';
+        input.placeholder = '50,000';
+        input.step = '1000';
+    } else {
+        amountBtn.className = 'px-3 py-2 text-sm bg-gray-100 text-gray-700 hover:bg-gray-200';
+        percentBtn.className = 'px-3 py-2 text-sm bg-blue-500 text-white';
+        input.placeholder = '10';
+        input.step = '0.5';
+    }
+}
+
 function onDownPaymentChange(source) {
     updateDownPaymentConverted();
     calculate();
@@ -2029,32 +3615,201 @@ function updateDownPaymentConverted() {
     }
 }
 
-function getDownPaymentAmount() {
-    const offerPrice = getInputValue('offerPrice');
-    const inputValue = getInputValue('downPayment');
+// =============================================================================
+// JURISDICTION FUNCTIONS
+// =============================================================================
+
+function renderProvinceOptions() {
+    document.getElementById('province').innerHTML = Object.entries(JURISDICTIONS)
+        .map(([key, rules]) => `<option value="${key}">${rules.name}</option>`)
+        .join('');
+}
+
+function renderMunicipalityOptions(province) {
+    const rules = getProvinceRules(province);
+    document.getElementById('municipality').innerHTML = [
+        `<option value="">Elsewhere in ${rules.name}</option>`,
+        ...Object.entries(rules.municipalities).map(([key, municipality]) => `<option value="${key}">${municipality.name}</option>`)
+    ].join('');
+}
+
+// Saves from before jurisdictions were added (no province) get the default, Montreal
+function setJurisdictionInputs(province, municipality) {
+    const provinceSelect = document.getElementById('province');
+    if (!JURISDICTIONS[province]) {
+        province = DEFAULT_JURISDICTION.province;
+        municipality = DEFAULT_JURISDICTION.municipality;
+    }
+    provinceSelect.value = province;
+    renderMunicipalityOptions(province);
+    document.getElementById('municipality').value = getMunicipalityRules(province, municipality) ? municipality : '';
+}
+
+function onProvinceChange() {
+    setJurisdictionInputs(document.getElementById('province').value, '');
+    calculate();
+    saveToStorage();
+}
+
+/**
+ * Name the taxes after the province on screen: the page title, the insurance sales tax
+ * and the land transfer tax (with the municipal tax when the city levies one).
+ */
+function updateJurisdictionLabels(jurisdiction) {
+    const province = getProvinceRules(jurisdiction.province);
+    const municipality = getMunicipalityRules(jurisdiction.province, jurisdiction.municipality);
+
+    document.title = `Home Purchase Calculator - ${province.name}`;
+    document.getElementById('editionSubtitle').textContent = `${province.name} Edition - CMHC Insurance & ${province.transferTaxName} Included`;
+    document.getElementById('premiumSalesTaxLabel').textContent = `${province.insuranceSalesTax ? province.insuranceSalesTax.name : 'Sales Tax (none)'}:`;
+    document.getElementById('welcomeTaxLabel').textContent = municipality && !municipality.replacesProvincialTax
+        ? `${province.transferTaxName} + ${municipality.name} Municipal`
+        : (municipality || province).transferTaxName;
+}
+
+/**
+ * Bracket-by-bracket welcome tax: one block per tax (provincial, municipal), each with
+ * the year of its brackets and any first-time buyer relief.
+ */
+function updateWelcomeTaxBreakdown(welcomeTax) {
+    const container = document.getElementById('welcomeTaxBreakdown');
+    if (!container) return;
+
+    if (welcomeTax.totalTax <= 0 && welcomeTax.rebate <= 0) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    container.classList.remove('hidden');
+    container.innerHTML = welcomeTax.components.map(component => `
+        <div class="mb-2 last:mb-0">
+            <div class="flex justify-between font-medium text-gray-700">
+                <span>${component.name} <span class="font-normal text-gray-500">(${component.year} brackets)</span></span>
+                <span>${formatCurrency(component.tax)}</span>
+            </div>
+            ${component.breakdown.map(row => `
+                <div class="flex justify-between text-gray-600 pl-3">
+                    <span>${formatPercent(row.rate * 100)} on ${formatCurrency(row.from)} – ${formatCurrency(row.to)}</span>
+                    <span>${formatCurrency(row.tax)}</span>
+                </div>
+            `).join('')}
+            ${component.rebate > 0 ? `
+                <div class="flex justify-between text-green-700 pl-3">
+                    <span>First-time buyer relief</span>
+                    <span>−${formatCurrency(component.rebate)}</span>
+                </div>
+            ` : ''}
+        </div>
+    `).join('');
+}
 
-    if (downPaymentMode === 'percent') {
-        return (inputValue / 100) * offerPrice;
+// =============================================================================
+// REGULATORY RULES
+// =============================================================================
+
+/**
+ * Show which rules the closing date selects, and rebuild the formulas panel when a
+ * different set of rules comes into effect.
+ */
+function updateRegulatoryRulesDisplay(rules) {
+    document.getElementById('closingDateRules').textContent =
+        `Rules as of ${formatDate(rules.effectiveDate)}: insured up to ${formatCurrency(rules.insuredPriceCap)}, ` +
+        `HBP ${formatCurrency(rules.hbpMaxWithdrawal)}, CELIAPP ${formatCurrency(rules.fhsaAnnualLimit)}/yr up to ${formatCurrency(rules.fhsaMaxContribution)}`;
+
+    const container = document.getElementById('formulasContent');
+    if (container.dataset.rulesDate !== rules.effectiveDate) {
+        loadFormulas(rules);
     }
-    return inputValue;
 }
 
 // =============================================================================
 // LOCAL STORAGE FUNCTIONS
 // =============================================================================
 
+function serializeFinancingSource(s) {
+    return {
+        name: s.name,
+        sourceType: s.sourceType,
+        amount: s.amount,
+        rate: s.rate,
+        termMonths: s.termMonths,
+        compounding: s.compounding,
+        termLengthMonths: s.termLengthMonths,
+        rateType: s.rateType,
+        renewals: s.renewals,
+        primeRate: s.primeRate,
+        primeSpread: s.primeSpread,
+        paymentType: s.paymentType,
+        startDate: s.startDate,
+        primePath: s.primePath,
+        lumpSum: s.lumpSum,
+        privilegePercent: s.privilegePercent,
+        paymentIncreasePercent: s.paymentIncreasePercent,
+        paymentFrequency: s.paymentFrequency,
+        owner: s.owner,
+        missedRepaymentYears: s.missedRepaymentYears,
+        fhsaOpenedYear: s.fhsaOpenedYear,
+        fhsaBalance: s.fhsaBalance,
+        fhsaContributed: s.fhsaContributed,
+        fhsaAnnualContribution: s.fhsaAnnualContribution,
+        fhsaReturn: s.fhsaReturn,
+        fhsaTaxRate: s.fhsaTaxRate,
+        planBalance: s.planBalance,
+        planMonthlyContribution: s.planMonthlyContribution,
+        planReturn: s.planReturn,
+        isGift: s.isGift,
+        deferralMonths: s.deferralMonths,
+        interestOnlyMonths: s.interestOnlyMonths,
+        balloonOnSale: s.balloonOnSale,
+        forgivenessAmount: s.forgivenessAmount,
+        forgivenessYears: s.forgivenessYears,
+        isAutoFillMortgage: s.isAutoFillMortgage,
+        isAutoCalculated: s.isAutoCalculated
+    };
+}
+
 function saveToStorage() {
+    updateCurrentScenario();
+
     const data = {
         // Property pricing
         askingPrice: getInputValue('askingPrice'),
         evaluationPrice: getInputValue('evaluationPrice'),
         offerPrice: getInputValue('offerPrice'),
         squareFootage: getInputValue('squareFootage'),
+        closingDate: document.getElementById('closingDate').value,
+
+        // Jurisdiction
+        province: document.getElementById('province').value,
+        municipality: document.getElementById('municipality').value,
+        firstTimeBuyer: document.getElementById('firstTimeBuyer')?.checked || false,
+        savingsPlan: isSavingsPlanOn(),
+
+        // Co-ownership
+        costSharing: document.getElementById('costSharing')?.value || 'income',
+        oneTimeCostsPaidBy,
 
         // Down payment
         downPayment: getInputValue('downPayment'),
         downPaymentMode: downPaymentMode,
         is30Year: document.getElementById('is30Year')?.checked || false,
+        isNewBuild: document.getElementById('isNewBuild')?.checked || false,
+        stressTest: document.getElementById('stressTest')?.checked || false,
+        targetGds: getInputValue('targetGds'),
+        targetTds: getInputValue('targetTds'),
+
+        // Equity projection
+        appreciationRate: getInputValue('appreciationRate'),
+        appreciationSeries: document.getElementById('appreciationSeries')?.value || '',
+        appreciationSpread: getInputValue('appreciationSpread'),
+        showAppreciationBands: document.getElementById('showAppreciationBands')?.checked || false,
+        sellingCostPercent: getInputValue('sellingCostPercent'),
+        equityHorizons: document.getElementById('equityHorizons')?.value || '',
+
+        // Rent vs buy
+        currentRent: getInputValue('currentRent'),
+        rentEscalation: getInputValue('rentEscalation'),
+        investmentReturn: getInputValue('investmentReturn'),
 
         // Monthly costs
         insurance: getInputValue('insurance'),
@@ -2064,36 +3819,41 @@ function saveToStorage() {
 
         // One-time costs
         notaryFees: getInputValue('notaryFees'),
+        inspectionCost: getInputValue('inspectionCost'),
         movingBase: getInputValue('movingBase'),
         paintPerSqft: getInputValue('paintPerSqft'),
+        depositAmount: getInputValue('depositAmount'),
 
         // Dynamic lists
-        financingSources: financingSources.filter(s => s !== null).map(s => ({
-            name: s.name,
-            sourceType: s.sourceType,
-            amount: s.amount,
-            rate: s.rate,
-            termMonths: s.termMonths,
-            isAutoFillMortgage: s.isAutoFillMortgage,
-            isAutoCalculated: s.isAutoCalculated
-        })),
+        financingSources: financingSources.filter(s => s !== null).map(serializeFinancingSource),
         owners: owners.filter(o => o !== null).map(o => ({
             name: o.name,
             income: o.income,
             carLoanPayment: o.carLoanPayment || 0,
             studentLoanPayment: o.studentLoanPayment || 0,
             personalLoanPayment: o.personalLoanPayment || 0,
-            creditCardPayment: o.creditCardPayment || 0
+            creditCardPayment: o.creditCardPayment || 0,
+            ownershipPercent: o.ownershipPercent || 0
         })),
         renovations: renovations.filter(r => r !== null).map(r => ({
             description: r.description,
-            amount: r.amount
+            amount: r.amount,
+            paidBy: r.paidBy
         })),
 
+        // Sensitivity analysis
+        sensitivityRanges: readSensitivityRanges(),
+        sensitivityMetric: getSensitivityMetric(),
+
+        // Monte Carlo simulation
+        simulationSettings: readSimulationSettings(),
+
         // Scenarios
+        householdBaseline,
+        comparisonSettings,
         scenarios: scenarios.map(s => ({
-            offerPrice: s.offerPrice,
-            label: s.label
+            label: s.label,
+            overrides: s.overrides
         })),
         currentScenarioIndex: currentScenarioIndex
     };
@@ -2117,23 +3877,41 @@ function loadFromStorage() {
         if (data.evaluationPrice) document.getElementById('evaluationPrice').value = data.evaluationPrice;
         if (data.offerPrice) document.getElementById('offerPrice').value = data.offerPrice;
         if (data.squareFootage) document.getElementById('squareFootage').value = data.squareFootage;
+        if (data.closingDate) document.getElementById('closingDate').value = data.closingDate;
+
+        // Jurisdiction (older saves are all Quebec, at Montreal's welcome tax)
+        setJurisdictionInputs(data.province, data.municipality);
+        if (data.firstTimeBuyer) document.getElementById('firstTimeBuyer').checked = data.firstTimeBuyer;
+        if (data.savingsPlan) document.getElementById('savingsPlan').checked = data.savingsPlan;
+
+        // Co-ownership (the payer's selector is filled once the owners are added)
+        if (data.costSharing) document.getElementById('costSharing').value = data.costSharing;
+        oneTimeCostsPaidBy = data.oneTimeCostsPaidBy ?? null;
 
         // Down payment
         if (data.downPayment) document.getElementById('downPayment').value = data.downPayment;
         if (data.downPaymentMode) {
             downPaymentMode = data.downPaymentMode;
-            // Update button styles
-            const amountBtn = document.getElementById('downPaymentModeAmount');
-            const percentBtn = document.getElementById('downPaymentModePercent');
-            const input = document.getElementById('downPayment');
-            if (downPaymentMode === 'percent') {
-                amountBtn.className = 'px-3 py-2 text-sm bg-gray-100 text-gray-700 hover:bg-gray-200';
-                percentBtn.className = 'px-3 py-2 text-sm bg-blue-500 text-white';
-                input.placeholder = '10';
-                input.step = '0.5';
-            }
+            updateDownPaymentModeButtons();
         }
         if (data.is30Year) document.getElementById('is30Year').checked = data.is30Year;
+        if (data.isNewBuild) document.getElementById('isNewBuild').checked = data.isNewBuild;
+        if (data.stressTest) document.getElementById('stressTest').checked = data.stressTest;
+        if (data.targetGds) document.getElementById('targetGds').value = data.targetGds;
+        if (data.targetTds) document.getElementById('targetTds').value = data.targetTds;
+
+        // Equity projection (0% appreciation is a valid assumption)
+        if (data.appreciationRate !== undefined) document.getElementById('appreciationRate').value = data.appreciationRate;
+        if (data.appreciationSeries) document.getElementById('appreciationSeries').value = data.appreciationSeries;
+        if (data.appreciationSpread !== undefined) document.getElementById('appreciationSpread').value = data.appreciationSpread;
+        if (data.showAppreciationBands) document.getElementById('showAppreciationBands').checked = data.showAppreciationBands;
+        if (data.sellingCostPercent !== undefined) document.getElementById('sellingCostPercent').value = data.sellingCostPercent;
+        if (data.equityHorizons) document.getElementById('equityHorizons').value = data.equityHorizons;
+
+        // Rent vs buy
+        if (data.currentRent) document.getElementById('currentRent').value = data.currentRent;
+        if (data.rentEscalation !== undefined) document.getElementById('rentEscalation').value = data.rentEscalation;
+        if (data.investmentReturn !== undefined) document.getElementById('investmentReturn').value = data.investmentReturn;
 
         // Monthly costs
         if (data.insurance) document.getElementById('insurance').value = data.insurance;
@@ -2143,8 +3921,10 @@ function loadFromStorage() {
 
         // One-time costs
         if (data.notaryFees) document.getElementById('notaryFees').value = data.notaryFees;
+        if (data.inspectionCost) document.getElementById('inspectionCost').value = data.inspectionCost;
         if (data.movingBase) document.getElementById('movingBase').value = data.movingBase;
         if (data.paintPerSqft) document.getElementById('paintPerSqft').value = data.paintPerSqft;
+        if (data.depositAmount) document.getElementById('depositAmount').value = data.depositAmount;
 
         // Financing sources
         if (data.financingSources && data.financingSources.length > 0) {
@@ -2174,18 +3954,38 @@ function loadFromStorage() {
         // Renovations
         if (data.renovations && data.renovations.length > 0) {
             data.renovations.forEach(reno => {
-                addRenovation(reno.description, reno.amount);
+                addRenovation(reno.description, reno.amount, reno.paidBy);
             });
         }
 
-        // Scenarios
+        // Sensitivity analysis (0 is a valid range)
+        if (data.sensitivityRanges) {
+            Object.entries(SENSITIVITY_RANGE_INPUTS).forEach(([key, id]) => {
+                if (data.sensitivityRanges[key] !== undefined) document.getElementById(id).value = data.sensitivityRanges[key];
+            });
+        }
+        if (data.sensitivityMetric) document.getElementById('sensitivityMetric').value = data.sensitivityMetric;
+
+        if (data.simulationSettings) {
+            Object.entries(SIMULATION_INPUTS).forEach(([key, id]) => {
+                if (data.simulationSettings[key] !== undefined) document.getElementById(id).value = data.simulationSettings[key];
+            });
+        }
+
+        if (data.comparisonSettings) {
+            comparisonSettings = { ...comparisonSettings, ...data.comparisonSettings };
+        }
+
+        // Scenarios (older saves only stored an offer price per scenario, on top of the form state)
+        householdBaseline = data.householdBaseline
+            ? { ...data.householdBaseline, loans: migrateScenarioLoans(data.householdBaseline.loans) }
+            : getScenarioInputs();
         if (data.scenarios && data.scenarios.length > 0) {
             scenarios = [];
             data.scenarios.forEach(scenario => {
-                scenarios.push({
-                    offerPrice: scenario.offerPrice,
-                    label: scenario.label
-                });
+                const overrides = scenario.overrides || getScenarioOverrides({ ...householdBaseline, offerPrice: scenario.offerPrice });
+                if (overrides.loans) overrides.loans = migrateScenarioLoans(overrides.loans);
+                scenarios.push({ label: scenario.label, overrides });
             });
             currentScenarioIndex = data.currentScenarioIndex || 0;
         }
@@ -2217,11 +4017,39 @@ function getStateData() {
         evaluationPrice: getInputValue('evaluationPrice'),
         offerPrice: getInputValue('offerPrice'),
         squareFootage: getInputValue('squareFootage'),
+        closingDate: document.getElementById('closingDate').value,
+
+        // Jurisdiction
+        province: document.getElementById('province').value,
+        municipality: document.getElementById('municipality').value,
+        firstTimeBuyer: document.getElementById('firstTimeBuyer')?.checked || false,
+        savingsPlan: isSavingsPlanOn(),
+
+        // Co-ownership
+        costSharing: document.getElementById('costSharing')?.value || 'income',
+        oneTimeCostsPaidBy,
 
         // Down payment
         downPayment: getInputValue('downPayment'),
         downPaymentMode: downPaymentMode,
         is30Year: document.getElementById('is30Year')?.checked || false,
+        isNewBuild: document.getElementById('isNewBuild')?.checked || false,
+        stressTest: document.getElementById('stressTest')?.checked || false,
+        targetGds: getInputValue('targetGds'),
+        targetTds: getInputValue('targetTds'),
+
+        // Equity projection
+        appreciationRate: getInputValue('appreciationRate'),
+        appreciationSeries: document.getElementById('appreciationSeries')?.value || '',
+        appreciationSpread: getInputValue('appreciationSpread'),
+        showAppreciationBands: document.getElementById('showAppreciationBands')?.checked || false,
+        sellingCostPercent: getInputValue('sellingCostPercent'),
+        equityHorizons: document.getElementById('equityHorizons')?.value || '',
+
+        // Rent vs buy
+        currentRent: getInputValue('currentRent'),
+        rentEscalation: getInputValue('rentEscalation'),
+        investmentReturn: getInputValue('investmentReturn'),
 
         // Monthly costs
         insurance: getInputValue('insurance'),
@@ -2231,36 +4059,41 @@ function getStateData() {
 
         // One-time costs
         notaryFees: getInputValue('notaryFees'),
+        inspectionCost: getInputValue('inspectionCost'),
         movingBase: getInputValue('movingBase'),
         paintPerSqft: getInputValue('paintPerSqft'),
+        depositAmount: getInputValue('depositAmount'),
 
         // Dynamic lists
-        financingSources: financingSources.filter(s => s !== null).map(s => ({
-            name: s.name,
-            sourceType: s.sourceType,
-            amount: s.amount,
-            rate: s.rate,
-            termMonths: s.termMonths,
-            isAutoFillMortgage: s.isAutoFillMortgage,
-            isAutoCalculated: s.isAutoCalculated
-        })),
+        financingSources: financingSources.filter(s => s !== null).map(serializeFinancingSource),
         owners: owners.filter(o => o !== null).map(o => ({
             name: o.name,
             income: o.income,
             carLoanPayment: o.carLoanPayment || 0,
             studentLoanPayment: o.studentLoanPayment || 0,
             personalLoanPayment: o.personalLoanPayment || 0,
-            creditCardPayment: o.creditCardPayment || 0
+            creditCardPayment: o.creditCardPayment || 0,
+            ownershipPercent: o.ownershipPercent || 0
         })),
         renovations: renovations.filter(r => r !== null).map(r => ({
             description: r.description,
-            amount: r.amount
+            amount: r.amount,
+            paidBy: r.paidBy
         })),
 
+        // Sensitivity analysis
+        sensitivityRanges: readSensitivityRanges(),
+        sensitivityMetric: getSensitivityMetric(),
+
+        // Monte Carlo simulation
+        simulationSettings: readSimulationSettings(),
+
         // Scenarios
+        householdBaseline,
+        comparisonSettings,
         scenarios: scenarios.map(s => ({
-            offerPrice: s.offerPrice,
-            label: s.label
+            label: s.label,
+            overrides: s.overrides
         })),
         currentScenarioIndex: currentScenarioIndex,
 
@@ -2323,11 +4156,15 @@ function exportToJson() {
     const data = getStateData();
     data.exportedAt = new Date().toISOString();
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(JSON.stringify(data, null, 2), `home-budget-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `home-budget-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -2361,7 +4198,7 @@ function importFromJson(event) {
 // FORMULAS DISPLAY
 // =============================================================================
 
-function loadFormulas() {
+function loadFormulas(rules = getRegulatoryRules()) {
     const formulas = [
         {
             category: 'Property Pricing',
@@ -2375,21 +4212,104 @@ function loadFormulas() {
             items: [
                 { name: 'Loan-to-Value Ratio (LTV)', formula: 'LTV = (Purchase Price - Down Payment) ÷ Purchase Price', description: 'Determines CMHC insurance requirement (required if LTV > 80%)' },
                 { name: 'CMHC Premium', formula: 'Premium = Mortgage Amount × Premium Rate', description: 'Insurance premium based on LTV bracket' },
-                { name: 'CMHC with Quebec Tax', formula: 'Total = Premium × (1 + 9.975%)', description: 'Quebec provincial tax (TVQ) is applied to CMHC premiums' }
+                {
+                    name: 'Premium Rates',
+                    formula: rules.cmhcRates.map(bracket => `LTV ≤ ${formatPercent(bracket.maxLtv * 100, 0)}: ${formatPercent(bracket.rate * 100, 2)}`).join(' · '),
+                    description: `30-year amortization adds ${formatPercent(rules.cmhc30YearSurcharge * 100, 2)}; rules in effect since ${formatDate(rules.effectiveDate)}`
+                },
+                {
+                    name: 'Insurance Eligibility',
+                    formula: `Price < ${formatCurrency(rules.insuredPriceCap)}, Down Payment ≥ Minimum, Amortization ≤ ${rules.insuredMaxAmortizationYears} years`,
+                    description: `30-year amortization: ${INSURED_30_YEAR_ELIGIBILITY[rules.insured30YearEligibility]}. Borrowed down payments are flagged`
+                },
+                {
+                    name: 'CMHC with Sales Tax',
+                    formula: 'Total = Premium × (1 + Provincial Sales Tax Rate)',
+                    description: Object.values(JURISDICTIONS)
+                        .map(rules => `${rules.name}: ${rules.insuranceSalesTax ? `${rules.insuranceSalesTax.name} ${formatPercent(rules.insuranceSalesTax.rate * 100, 3)}` : 'no sales tax'}`)
+                        .join(', ')
+                }
             ]
         },
         {
             category: 'Mortgage Payment',
             items: [
-                { name: 'Monthly Payment', formula: 'M = P × [r(1+r)ⁿ] ÷ [(1+r)ⁿ - 1]', description: 'P = Principal, r = Monthly rate (annual÷12), n = Number of payments' },
+                { name: 'Monthly Payment', formula: 'M = P × [r(1+r)ⁿ] ÷ [(1+r)ⁿ - 1]', description: 'P = Principal, r = Effective monthly rate, n = Number of payments' },
+                { name: 'Semi-Annual Compounding', formula: 'r = (1 + Annual Rate ÷ 2)^(1/6) - 1', description: 'Canadian fixed-rate mortgages (Interest Act). Used for sources set to semi-annual compounding' },
+                { name: 'Monthly Compounding', formula: 'r = Annual Rate ÷ 12', description: 'Lines of credit, parent\'s loans and other personal loans' },
                 { name: 'Interest Portion', formula: 'Interest = Remaining Balance × Monthly Rate', description: 'Portion of each payment going to interest' },
-                { name: 'Principal Portion', formula: 'Principal = Monthly Payment - Interest', description: 'Portion of each payment reducing the loan balance' }
+                { name: 'Principal Portion', formula: 'Principal = Monthly Payment - Interest', description: 'Portion of each payment reducing the loan balance' },
+                { name: 'Variable Rate', formula: 'Rate = Prime Rate + Spread', description: 'Follows the dated prime-rate changes; compounded monthly' },
+                { name: 'Trigger Rate', formula: 'Trigger Rate = (Payment × 12) ÷ Balance', description: 'Fixed-payment variable loans: above this rate, interest exceeds the payment. At the trigger point (balance > 105% of original) the payment resets' },
+                { name: 'Property Value', formula: 'Value(year n) = Price × (1 + g₁) × (1 + g₂) × ... × (1 + gₙ)', description: 'g = flat appreciation rate or the year-by-year series; bands use g ± spread' },
+                { name: 'Net Equity', formula: 'Net Equity = Value × (1 - Selling Costs %) - Remaining Debt', description: 'What you would walk away with after selling at that horizon' },
+                { name: 'Rent vs Buy', formula: 'Invested each month = |Ownership Costs - Rent| by the cheaper path', description: 'The renter also invests the savings the buyer spends up front; rent grows by the escalation rate each year' },
+                { name: 'Net Worth (Buy)', formula: 'Net Worth = Net Equity + Investments', description: 'Break-even = first year buying net worth ≥ renting net worth' },
+                { name: 'Lump-Sum Prepayment', formula: 'Yearly Lump Sum ≤ Privilege % × Original Principal', description: 'Paid on each loan anniversary straight against the balance (default privilege 15%)' },
+                { name: 'Periodic Payment', formula: 'PMT = P × [r(1+r)^n] / [(1+r)^n - 1], r = (1 + i/c)^(c/p) - 1, n = Years × p', description: 'p = payments per year (12, 24, 26 or 52), c = compounding periods per year' },
+                { name: 'Monthly Equivalent', formula: 'Monthly Equivalent = Periodic Payment × p ÷ 12', description: 'Used for GDS/TDS ratios and monthly totals' },
+                { name: 'Accelerated Payments', formula: 'Bi-weekly = Monthly ÷ 2 (26/yr); Weekly = Monthly ÷ 4 (52/yr)', description: 'Both add up to 13 monthly payments a year; GDS/TDS use the regular bi-weekly or weekly payment, and interest saved is measured against it' },
+                { name: 'Renewal Payment', formula: 'M = Balance at renewal × [r(1+r)ⁿ] ÷ [(1+r)ⁿ - 1]', description: 'Recalculated at each renewal with the new term\'s rate; n = months left in the amortization. Variable-rate terms compound monthly' }
+            ]
+        },
+        {
+            category: `Land Transfer Tax (${new Date().getFullYear()})`,
+            items: Object.values(JURISDICTIONS).flatMap(province => [province, ...Object.values(province.municipalities)].map(rules => {
+                const { year, brackets } = getTransferTaxBrackets(rules, new Date().getFullYear());
+                return {
+                    name: `${rules.name} ${rules.transferTaxName} (${year} brackets)`,
+                    formula: formatTaxBrackets(brackets),
+                    description: describeFirstTimeBuyerRelief(rules.firstTimeBuyerRelief)
+                };
+            }))
+        },
+        {
+            category: 'Regulatory Changes',
+            items: REGULATORY_RULES.map(entry => ({
+                name: formatDate(entry.effectiveDate),
+                formula: entry.changes,
+                description: entry.effectiveDate > rules.effectiveDate ? 'Not yet in effect at the closing date' : 'In effect at the closing date'
+            }))
+        },
+        {
+            category: 'Savings Plan',
+            items: [
+                { name: 'Balance at Closing', formula: 'Balance = Balance Today × (1 + r)^m + Contribution × [(1 + r)^m - 1] ÷ r', description: 'r = monthly equivalent of the expected return, m = months to closing; contributions at the end of each month' },
+                { name: 'Earliest Affordable Month', formula: 'First month with Projected Savings ≥ Down Payment + One-Time Costs + Renovations', description: `Searched month by month for up to ${SAVINGS_PLAN_MAX_MONTHS / 12} years, at today's price and costs` }
             ]
         },
         {
-            category: 'Quebec Welcome Tax',
+            category: 'CELIAPP (FHSA)',
             items: [
-                { name: 'Welcome Tax Brackets', formula: '0.5% (≤$55,200) + 1.0% ($55,200-$276,200) + 1.5% ($276,200-$500,000) + 2.0% ($500,000-$1M) + 2.5% (>$1M)', description: 'Land transfer tax calculated in brackets' }
+                { name: 'Contribution Room', formula: `Room = ${formatCurrency(rules.fhsaAnnualLimit)} + min(Unused Last Year, ${formatCurrency(rules.fhsaAnnualLimit)}), up to ${formatCurrency(rules.fhsaMaxContribution)} lifetime`, description: 'Starts the year the account is opened; contributions to date use up the room earned so far, this year included' },
+                { name: 'Balance at Closing', formula: 'Balance = Balance Today × (1 + r)^m + Σ Contribution × (1 + r)^(months to closing)', description: 'r = monthly equivalent of the expected return; the planned contribution goes in now and each January. Feeds the down payment' },
+                { name: 'Tax Refund', formula: 'Refund = Planned Contributions × Marginal Tax Rate', description: 'Contributions are deductible (those to date were deducted already); the withdrawal is tax-free for a first-time buyer' },
+                { name: 'Qualifying Withdrawal', formula: `First-time buyer, within ${rules.fhsaMaxParticipationYears} years of opening`, description: 'Otherwise the withdrawal is taxable income' }
+            ]
+        },
+        {
+            category: 'Home Buyers\' Plan',
+            items: [
+                { name: 'Annual Minimum Repayment', formula: 'Minimum = HBP Balance ÷ Years Left (Withdrawal ÷ 15 while on schedule)', description: `Each owner repays their own withdrawals, starting in January ${rules.hbpRepaymentGraceYears} years after the year of the withdrawal` },
+                { name: 'Missed Repayment', formula: 'Taxable Income += Missed Minimum', description: 'The missed minimum still comes off the HBP balance; TDS counts the minimum for the owner who withdrew' }
+            ]
+        },
+        {
+            category: 'Family Loans',
+            items: [
+                { name: 'Deferral', formula: 'Balance = Amount × (1 + r)^Deferred Months', description: 'r = monthly rate; nothing is paid and the interest is added to the balance' },
+                { name: 'Regular Payment', formula: 'Payment = PMT(Balance after Deferral, r, Amortization - Deferred - Interest-Only Months)', description: 'Interest only (Balance × r) when repaid on sale; the balloon clears the balance in the last month. Counts toward TDS' },
+                { name: 'Forgiveness', formula: 'Balance -= min(Forgiven per Year, Balance) on each anniversary', description: 'The payment is recalculated over the months left' },
+                { name: 'Gift', formula: 'Payment = 0', description: 'Needs a signed gift letter; left out of TDS and of the borrowed down payment' }
+            ]
+        },
+        {
+            category: 'Co-Ownership',
+            items: [
+                { name: 'Cost Share', formula: 'By income: Income ÷ Total Income · Equally: 1 ÷ Owners · By ownership: Ownership %', description: 'Splits loan payments, monthly costs, shared savings and anything paid as shared' },
+                { name: 'Down Payment Contributed', formula: 'Cash Put In - One-Time Costs Paid - Renovations Paid', description: 'Cash sources are credited to their owner; a family loan to whoever repays it. Sources beyond what the purchase needs are credited pro rata' },
+                { name: 'Capital', formula: 'Cash Put In + Cost Share × Principal Repaid - Own Family Loan Balance', description: 'Principal repaid on the mortgage and other shared loans' },
+                { name: 'Equity', formula: 'Capital + Ownership % × (Net Equity - Total Capital)', description: 'Each owner gets their capital back; appreciation less selling costs, premium and one-time costs is split by ownership' }
             ]
         },
         {
@@ -2408,12 +4328,17 @@ function loadFormulas() {
         {
             category: 'Affordability',
             items: [
-                { name: 'Affordability Ratio', formula: 'Ratio = (Total Monthly Costs ÷ Gross Monthly Income) × 100', description: '≤30% = Affordable, 30-40% = Caution, >40% = High Risk' }
+                { name: 'Affordability Ratio', formula: 'Ratio = (Total Monthly Costs ÷ Gross Monthly Income) × 100', description: '≤30% = Affordable, 30-40% = Caution, >40% = High Risk' },
+                { name: 'Qualifying Rate (Stress Test)', formula: 'Qualifying Rate = max(Contract Rate + 2%, 5.25%)', description: 'When enabled, bank mortgage payments in GDS/TDS are recalculated at this rate' },
+                { name: 'Qualification', formula: 'GDS ≤ 39% and TDS ≤ 44%', description: 'Checked for each owner and for the household; the maximum price is found by searching offer prices' },
+                { name: 'Minimum Down Payment', formula: `5% of first $500,000 + 10% of the portion above (20% at ${formatCurrency(rules.insuredPriceCap)}+)`, description: 'Used by the affordability solver' },
+                { name: 'Maximum Affordable Price', formula: 'Highest offer price passing target GDS, target TDS, minimum down payment and cash on hand', description: 'CMHC, land transfer tax and the parent\'s loan gap are recalculated at each candidate price' }
             ]
         }
     ];
 
     const container = document.getElementById('formulasContent');
+    container.dataset.rulesDate = rules.effectiveDate;
     container.innerHTML = formulas.map(category => `
         <div class="border-b border-gray-200 pb-4 last:border-b-0">
             <h3 class="font-semibold text-gray-700 mb-2">${category.category}</h3>
@@ -2430,6 +4355,22 @@ function loadFormulas() {
     `).join('');
 }
 
+function formatTaxBrackets(brackets) {
+    return brackets.map((bracket, i) => {
+        const from = i > 0 ? brackets[i - 1].threshold : 0;
+        const range = bracket.threshold === Infinity
+            ? `>${formatCurrency(from)}`
+            : from === 0 ? `≤${formatCurrency(bracket.threshold)}` : `${formatCurrency(from)}-${formatCurrency(bracket.threshold)}`;
+        return `${formatPercent(bracket.rate * 100)} (${range})`;
+    }).join(' + ');
+}
+
+function describeFirstTimeBuyerRelief(relief) {
+    if (!relief) return 'Land transfer tax calculated in brackets; no first-time buyer relief';
+    if (relief.maxRebate !== undefined) return `First-time buyers get a rebate of up to ${formatCurrency(relief.maxRebate)}`;
+    return `First-time buyers pay no tax on the first ${formatCurrency(relief.exemptAmount)} up to a ${formatCurrency(relief.phaseOutStart)} price, phased out by ${formatCurrency(relief.phaseOutEnd)}`;
+}
+
 function toggleFormulas() {
     const content = document.getElementById('formulasContent');
     const chevron = document.getElementById('formulasChevron');
@@ -0,0 +1,2734 @@
+/**
+ * Home Purchase Calculator - Calculation Core
+ *
+ * Pure calculation functions shared by the page (app.js) and the simulation worker.
+ * Nothing in this file touches the DOM: calculateScenario() takes a plain state
+ * object and returns every result the views need.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Mortgage insurance and registered-plan rules by effective date (YYYY-MM-DD). The first
+// entry holds every rule; later entries only list what changed on that date
+const REGULATORY_RULES = [
+    {
+        effectiveDate: '2017-03-17',
+        changes: 'CMHC premium table; insured mortgages capped at $1M; HBP withdrawals up to $25,000',
+        cmhcRates: [
+            { maxLtv: 0.65, rate: 0.0060 },
+            { maxLtv: 0.75, rate: 0.0170 },
+            { maxLtv: 0.80, rate: 0.0240 },
+            { maxLtv: 0.85, rate: 0.0280 },
+            { maxLtv: 0.90, rate: 0.0310 },
+            { maxLtv: 0.95, rate: 0.0400 },
+        ],
+        cmhc30YearSurcharge: 0.0020,
+        insuredPriceCap: 1000000,
+        insuredMaxAmortizationYears: 25,
+        insured30YearEligibility: 'none',
+        hbpMaxWithdrawal: 25000,
+        hbpRepaymentGraceYears: 2,
+        fhsaMaxContribution: 0,
+        fhsaAnnualLimit: 0,
+        fhsaMaxParticipationYears: 15
+    },
+    {
+        effectiveDate: '2019-03-20',
+        changes: 'HBP withdrawal limit raised to $35,000 per person',
+        hbpMaxWithdrawal: 35000
+    },
+    {
+        effectiveDate: '2022-01-01',
+        changes: 'HBP repayments start in the 5th year after the withdrawal instead of the 2nd (temporary, withdrawals through 2025)',
+        hbpRepaymentGraceYears: 5
+    },
+    {
+        effectiveDate: '2023-04-01',
+        changes: 'CELIAPP (FHSA) opens: $8,000 of room a year, up to $8,000 carried forward, $40,000 lifetime limit',
+        fhsaMaxContribution: 40000,
+        fhsaAnnualLimit: 8000
+    },
+    {
+        effectiveDate: '2024-04-16',
+        changes: 'HBP withdrawal limit raised to $60,000 per person',
+        hbpMaxWithdrawal: 60000
+    },
+    {
+        effectiveDate: '2024-08-01',
+        changes: '30-year insured amortization for first-time buyers of new builds',
+        insured30YearEligibility: 'firstTimeBuyerNewBuild'
+    },
+    {
+        effectiveDate: '2024-12-15',
+        changes: 'Insured mortgage price cap raised to $1.5M; 30-year insured amortization for all first-time buyers and new builds',
+        insuredPriceCap: 1500000,
+        insured30YearEligibility: 'firstTimeBuyerOrNewBuild'
+    },
+    {
+        effectiveDate: '2026-01-01',
+        changes: 'HBP repayments start in the 2nd year after the withdrawal again',
+        hbpRepaymentGraceYears: 2
+    },
+];
+
+// Who may take a 30-year amortization on an insured mortgage, by insured30YearEligibility
+const INSURED_30_YEAR_ELIGIBILITY = {
+    none: 'Nobody (25 years maximum)',
+    firstTimeBuyerNewBuild: 'First-time buyers purchasing a new build',
+    firstTimeBuyerOrNewBuild: 'First-time buyers or buyers of a new build'
+};
+
+// Land transfer tax rules by province, and by municipality where the city sets its own
+// brackets: on top of the provincial tax (Toronto), or in place of it (Quebec municipalities
+// may add brackets above $500,000). Bracket tables are keyed by the year they apply to, since
+// Quebec indexes its thresholds every January; a later year without its own table uses the
+// latest one. First-time-buyer relief is either a rebate of up to maxRebate, or an exemption
+// of the tax on the first exemptAmount that phases out linearly between phaseOutStart and
+// phaseOutEnd. For the cash-flow timeline, transferTaxDueMonths is how long after closing
+// the tax is billed (Quebec municipalities mail the welcome tax bill) and
+// propertyTaxInstalmentMonths are the calendar months property tax instalments fall due;
+// a municipality's own value overrides the province's
+const JURISDICTIONS = {
+    QC: {
+        name: 'Quebec',
+        transferTaxName: 'Welcome Tax',
+        transferTaxBrackets: {
+            2024: [
+                { threshold: 55200, rate: 0.005 },
+                { threshold: 276200, rate: 0.010 },
+                { threshold: Infinity, rate: 0.015 },
+            ],
+            2025: [
+                { threshold: 58900, rate: 0.005 },
+                { threshold: 294600, rate: 0.010 },
+                { threshold: Infinity, rate: 0.015 },
+            ],
+        },
+        firstTimeBuyerRelief: null,
+        insuranceSalesTax: { name: 'Quebec Tax (TVQ)', rate: 0.09975 },
+        transferTaxDueMonths: 3,
+        propertyTaxInstalmentMonths: [3, 6],
+        municipalities: {
+            montreal: {
+                name: 'Montreal',
+                transferTaxName: 'Welcome Tax',
+                replacesProvincialTax: true,
+                transferTaxBrackets: {
+                    2024: [
+                        { threshold: 55200, rate: 0.005 },
+                        { threshold: 276200, rate: 0.010 },
+                        { threshold: 552300, rate: 0.015 },
+                        { threshold: 1104700, rate: 0.020 },
+                        { threshold: 2136500, rate: 0.025 },
+                        { threshold: 3113000, rate: 0.035 },
+                        { threshold: Infinity, rate: 0.040 },
+                    ],
+                    2025: [
+                        { threshold: 58900, rate: 0.005 },
+                        { threshold: 294600, rate: 0.010 },
+                        { threshold: 552300, rate: 0.015 },
+                        { threshold: 1104700, rate: 0.020 },
+                        { threshold: 2136500, rate: 0.025 },
+                        { threshold: 3113000, rate: 0.035 },
+                        { threshold: Infinity, rate: 0.040 },
+                    ],
+                },
+                firstTimeBuyerRelief: null
+            }
+        }
+    },
+    ON: {
+        name: 'Ontario',
+        transferTaxName: 'Land Transfer Tax',
+        transferTaxBrackets: {
+            2024: [
+                { threshold: 55000, rate: 0.005 },
+                { threshold: 250000, rate: 0.010 },
+                { threshold: 400000, rate: 0.015 },
+                { threshold: 2000000, rate: 0.020 },
+                { threshold: Infinity, rate: 0.025 },
+            ],
+        },
+        firstTimeBuyerRelief: { maxRebate: 4000 },
+        insuranceSalesTax: { name: 'Ontario Sales Tax (RST)', rate: 0.08 },
+        transferTaxDueMonths: 0,
+        propertyTaxInstalmentMonths: [2, 4, 7, 9],
+        municipalities: {
+            toronto: {
+                name: 'Toronto',
+                transferTaxName: 'Municipal Land Transfer Tax',
+                transferTaxBrackets: {
+                    2024: [
+                        { threshold: 55000, rate: 0.005 },
+                        { threshold: 250000, rate: 0.010 },
+                        { threshold: 400000, rate: 0.015 },
+                        { threshold: 2000000, rate: 0.020 },
+                        { threshold: 3000000, rate: 0.025 },
+                        { threshold: 4000000, rate: 0.035 },
+                        { threshold: 5000000, rate: 0.045 },
+                        { threshold: 10000000, rate: 0.055 },
+                        { threshold: 20000000, rate: 0.065 },
+                        { threshold: Infinity, rate: 0.075 },
+                    ],
+                },
+                firstTimeBuyerRelief: { maxRebate: 4475 },
+                propertyTaxInstalmentMonths: [2, 3, 4, 7, 8, 9]
+            }
+        }
+    },
+    BC: {
+        name: 'British Columbia',
+        transferTaxName: 'Property Transfer Tax',
+        transferTaxBrackets: {
+            2024: [
+                { threshold: 200000, rate: 0.010 },
+                { threshold: 2000000, rate: 0.020 },
+                { threshold: 3000000, rate: 0.030 },
+                { threshold: Infinity, rate: 0.050 },
+            ],
+        },
+        firstTimeBuyerRelief: { exemptAmount: 500000, phaseOutStart: 835000, phaseOutEnd: 860000 },
+        insuranceSalesTax: null,
+        transferTaxDueMonths: 0,
+        propertyTaxInstalmentMonths: [7],
+        municipalities: {}
+    }
+};
+
+// Montreal's brackets are the welcome tax the calculator charged before jurisdictions could be
+// picked, so older saves and a fresh page keep the same results
+const DEFAULT_JURISDICTION = { province: 'QC', municipality: 'montreal', firstTimeBuyer: false };
+
+// Mortgage stress test: lenders qualify borrowers at the greater of the
+// contract rate + 2% or the minimum qualifying rate floor
+const STRESS_TEST_BUFFER = 2.0;
+const MINIMUM_QUALIFYING_RATE = 5.25;
+
+// Maximum GDS/TDS ratios (%) accepted by insurers when qualifying a borrower
+const GDS_QUALIFYING_LIMIT = 39;
+const TDS_QUALIFYING_LIMIT = 44;
+
+// Minimum down payment: 5% of the first $500,000 and 10% of the portion above,
+// or 20% of the full price at or above the insured mortgage price cap
+const MINIMUM_DOWN_PAYMENT_BRACKETS = [
+    { threshold: 500000, rate: 0.05 },
+    { threshold: Infinity, rate: 0.10 },
+];
+const UNINSURED_MINIMUM_DOWN_PAYMENT = 0.20;
+
+// Interest compounding conventions
+// Canadian fixed-rate mortgages are compounded semi-annually by law (Interest Act),
+// while lines of credit and most personal loans compound monthly.
+const COMPOUNDING_CONVENTIONS = {
+    semi_annual: {
+        label: 'Semi-annual',
+        periodsPerYear: 2
+    },
+    monthly: {
+        label: 'Monthly',
+        periodsPerYear: 12
+    }
+};
+
+// Mortgage rate types for each term. Variable-rate terms compound monthly;
+// fixed-rate terms use the source's compounding convention.
+const RATE_TYPES = {
+    fixed: { label: 'Fixed' },
+    variable: { label: 'Variable' }
+};
+
+// Loan payment frequencies. Accelerated variants pay half (or a quarter) of the monthly
+// payment every two weeks (or every week), which adds up to 13 monthly payments a year
+const PAYMENT_FREQUENCIES = {
+    monthly: { label: 'Monthly', periodsPerYear: 12 },
+    semi_monthly: { label: 'Semi-monthly', periodsPerYear: 24 },
+    biweekly: { label: 'Bi-weekly', periodsPerYear: 26 },
+    weekly: { label: 'Weekly', periodsPerYear: 52 },
+    accelerated_biweekly: { label: 'Accelerated bi-weekly', periodsPerYear: 26, monthlyDivisor: 2, baseFrequency: 'biweekly' },
+    accelerated_weekly: { label: 'Accelerated weekly', periodsPerYear: 52, monthlyDivisor: 4, baseFrequency: 'weekly' }
+};
+
+// Typical lender prepayment privilege: yearly lump sums up to 15% of the original principal
+const DEFAULT_PREPAYMENT_PRIVILEGE = 15;
+
+// Net equity is reported at these horizons (years) unless the user picks their own
+const DEFAULT_EQUITY_HORIZONS = [5, 10, 25];
+
+// Variable-rate payment variants
+const VARIABLE_PAYMENT_TYPES = {
+    fixed: { label: 'Fixed payment' },
+    adjustable: { label: 'Adjustable payment' }
+};
+
+// Fixed-payment variable mortgages hit the trigger point when the balance grows past
+// this multiple of the original principal; the lender then resets the payment
+const VARIABLE_TRIGGER_POINT_RATIO = 1.05;
+
+// Financing source types
+const FINANCING_TYPES = {
+    mortgage: {
+        label: 'Bank Mortgage',
+        requiresRepayment: true,
+        isLoan: true,
+        isMortgage: true,
+        countsTowardDownPayment: false,
+        defaultCompounding: 'semi_annual',
+        description: 'Standard mortgage loan from a financial institution'
+    },
+    variable_mortgage: {
+        label: 'Variable-Rate Mortgage',
+        requiresRepayment: true,
+        isLoan: true,
+        isMortgage: true,
+        isVariableRate: true,
+        countsTowardDownPayment: false,
+        defaultCompounding: 'monthly',
+        description: 'Mortgage priced at prime plus or minus a spread, following a prime-rate path'
+    },
+    celiapp: {
+        label: 'CELIAPP',
+        requiresRepayment: false,
+        isLoan: false,
+        isPerOwner: true,
+        hasContributionRoom: true,
+        countsTowardDownPayment: true,
+        description: 'First Home Savings Account - Deductible contributions, projected to closing and withdrawn tax-free for a first home'
+    },
+    rrsp: {
+        label: 'RRSP (Home Buyers\' Plan)',
+        requiresRepayment: true,
+        repaymentYears: 15,
+        isLoan: false,
+        isPerOwner: true,
+        countsTowardDownPayment: true,
+        description: 'Home Buyers\' Plan - Each owner repays their RRSP over 15 years, starting the 2nd year after the withdrawal (5th for 2022-2025 withdrawals)'
+    },
+    tfsa: {
+        label: 'TFSA',
+        requiresRepayment: false,
+        isLoan: false,
+        countsTowardDownPayment: true,
+        description: 'Tax-Free Savings Account - No repayment required'
+    },
+    joint_account: {
+        label: 'Joint Account',
+        requiresRepayment: false,
+        isLoan: false,
+        countsTowardDownPayment: false,  // Kept separate
+        description: 'Joint savings - Kept separate from down payment (for moving costs, renovations, etc.)'
+    },
+    parents_loan: {
+        label: 'Parent\'s Loan',
+        requiresRepayment: true,
+        isLoan: true,
+        countsTowardDownPayment: true,
+        isAutoCalculated: true,
+        hasFamilyTerms: true,
+        defaultCompounding: 'monthly',
+        description: 'Loan or gift from parents to cover the gap between your savings and required down payment - can be deferred, interest-only, forgiven over time or repaid on sale'
+    },
+    other_loan: {
+        label: 'Other Loan',
+        requiresRepayment: true,
+        isLoan: true,
+        countsTowardDownPayment: false,
+        defaultCompounding: 'monthly',
+        description: 'Any other loan (personal loan, line of credit, etc.)'
+    },
+    other_savings: {
+        label: 'Other Savings',
+        requiresRepayment: false,
+        isLoan: false,
+        countsTowardDownPayment: true,
+        description: 'Other savings or gifts'
+    }
+};
+
+// How co-owners split shared costs: loan payments, ownership costs, one-time costs and shared savings
+const COST_SHARING_RULES = {
+    income: { label: 'By income' },
+    equal: { label: 'Equally' },
+    ownership: { label: 'By ownership %' }
+};
+
+// =============================================================================
+// CALCULATION FUNCTIONS
+// =============================================================================
+
+function calculateLtv(purchasePrice, downPayment) {
+    if (purchasePrice <= 0) return 0;
+    return (purchasePrice - downPayment) / purchasePrice;
+}
+
+/**
+ * The rules in effect on a date: every registry entry up to that date layered over the
+ * first one. effectiveDate is the date of the latest change applied.
+ */
+function getRegulatoryRules(date = getCurrentDate()) {
+    return REGULATORY_RULES
+        .filter((entry, i) => i === 0 || entry.effectiveDate <= date)
+        .reduce((rules, { changes, ...entry }) => ({ ...rules, ...entry }), {});
+}
+
+function getCmhcRate(ltv, is30Year = false, rules = getRegulatoryRules()) {
+    let rate = 0;
+    for (const bracket of rules.cmhcRates) {
+        if (ltv <= bracket.maxLtv) {
+            rate = bracket.rate;
+            break;
+        }
+    }
+    if (is30Year) rate += rules.cmhc30YearSurcharge;
+    return rate;
+}
+
+function getProvinceRules(province) {
+    return JURISDICTIONS[province] || JURISDICTIONS[DEFAULT_JURISDICTION.province];
+}
+
+function getMunicipalityRules(province, municipality) {
+    return getProvinceRules(province).municipalities[municipality] || null;
+}
+
+/**
+ * The bracket table in effect in the given year: { year, brackets }.
+ */
+function getTransferTaxBrackets(rules, year) {
+    const years = Object.keys(rules.transferTaxBrackets).map(Number).sort((a, b) => a - b);
+    const effectiveYear = years.filter(y => y <= year).pop() || years[0];
+    return { year: effectiveYear, brackets: rules.transferTaxBrackets[effectiveYear] };
+}
+
+/**
+ * The tax rules that apply in the jurisdiction, in order: the province's unless the
+ * municipality replaces it, then the municipality's.
+ */
+function getTransferTaxRules(jurisdiction) {
+    const province = getProvinceRules(jurisdiction.province);
+    const municipality = getMunicipalityRules(jurisdiction.province, jurisdiction.municipality);
+    if (!municipality) return [province];
+    return municipality.replacesProvincialTax ? [municipality] : [province, municipality];
+}
+
+function getJurisdictionSetting(jurisdiction, key) {
+    const municipality = getMunicipalityRules(jurisdiction.province, jurisdiction.municipality);
+    return municipality && municipality[key] !== undefined ? municipality[key] : getProvinceRules(jurisdiction.province)[key];
+}
+
+function calculateCmhc(purchasePrice, downPayment, is30Year = false, jurisdiction = DEFAULT_JURISDICTION, rules = getRegulatoryRules()) {
+    const mortgageAmount = purchasePrice - downPayment;
+    const ltv = calculateLtv(purchasePrice, downPayment);
+    const downPaymentPercent = purchasePrice > 0 ? (downPayment / purchasePrice) * 100 : 0;
+    const cmhcRequired = ltv > 0.80;
+    // Nothing is insured at or above the price cap or beyond the premium table's highest LTV
+    const insurable = purchasePrice < rules.insuredPriceCap && ltv <= rules.cmhcRates[rules.cmhcRates.length - 1].maxLtv;
+
+    const premiumRate = getCmhcRate(ltv, is30Year, rules);
+    const cmhcPremium = cmhcRequired && insurable ? mortgageAmount * premiumRate : 0;
+    // Quebec and Ontario charge provincial sales tax on the premium; BC does not
+    const salesTax = getProvinceRules(jurisdiction.province).insuranceSalesTax;
+    const premiumSalesTax = salesTax ? cmhcPremium * salesTax.rate : 0;
+    const totalCmhcCost = cmhcPremium + premiumSalesTax;
+    const totalMortgage = mortgageAmount + totalCmhcCost;
+
+    return {
+        mortgageAmount,
+        ltv,
+        ltvPercent: ltv * 100,
+        downPaymentPercent,
+        cmhcRequired,
+        insurable,
+        premiumRate,
+        premiumRatePercent: premiumRate * 100,
+        cmhcPremium,
+        premiumSalesTax,
+        totalCmhcCost,
+        totalMortgage
+    };
+}
+
+function getMonthlyRate(annualRate, compounding = 'monthly') {
+    return getPeriodicRate(annualRate, compounding, 12);
+}
+
+/**
+ * Effective rate per payment period for a quoted rate compounded n times per year:
+ * r = (1 + i/n)^(n/p) - 1, with p payments per year
+ */
+function getPeriodicRate(annualRate, compounding = 'monthly', paymentsPerYear = 12) {
+    const periodsPerYear = COMPOUNDING_CONVENTIONS[compounding]?.periodsPerYear || 12;
+    const nominalRate = annualRate / 100;
+
+    if (periodsPerYear === paymentsPerYear) return nominalRate / periodsPerYear;
+
+    return Math.pow(1 + nominalRate / periodsPerYear, periodsPerYear / paymentsPerYear) - 1;
+}
+
+function getPaymentFrequency(frequencyKey) {
+    return PAYMENT_FREQUENCIES[frequencyKey] || PAYMENT_FREQUENCIES.monthly;
+}
+
+/**
+ * Payment per period that clears the principal over the amortization. Accelerated frequencies
+ * pay a fixed fraction of the monthly payment instead of amortizing over their own periods.
+ */
+function calculatePeriodicPayment(principal, annualRate, amortizationMonths, compounding = 'monthly', frequencyKey = 'monthly') {
+    const frequency = getPaymentFrequency(frequencyKey);
+    if (frequency.monthlyDivisor) {
+        return calculateMonthlyPayment(principal, annualRate, amortizationMonths, compounding).monthlyPayment / frequency.monthlyDivisor;
+    }
+
+    const periods = Math.round(amortizationMonths / 12 * frequency.periodsPerYear);
+    if (principal <= 0 || periods <= 0) return 0;
+
+    const periodicRate = getPeriodicRate(annualRate, compounding, frequency.periodsPerYear);
+    if (periodicRate === 0) return principal / periods;
+
+    const rateFactor = Math.pow(1 + periodicRate, periods);
+    return principal * (periodicRate * rateFactor) / (rateFactor - 1);
+}
+
+function getMonthlyEquivalentPayment(periodicPayment, frequencyKey = 'monthly') {
+    return periodicPayment * getPaymentFrequency(frequencyKey).periodsPerYear / 12;
+}
+
+function getTermCompounding(rateType, compounding) {
+    return rateType === 'variable' ? 'monthly' : compounding;
+}
+
+function calculateMonthlyPayment(principal, annualRate, termMonths, compounding = 'monthly') {
+    if (principal <= 0 || termMonths <= 0) {
+        return { monthlyPayment: 0, totalPayments: 0, totalInterest: 0 };
+    }
+
+    const monthlyRate = getMonthlyRate(annualRate, compounding);
+
+    if (monthlyRate === 0) {
+        return {
+            monthlyPayment: principal / termMonths,
+            totalPayments: principal,
+            totalInterest: 0
+        };
+    }
+
+    // M = P × [r(1+r)^n] / [(1+r)^n - 1]
+    const rateFactor = Math.pow(1 + monthlyRate, termMonths);
+    const monthlyPayment = principal * (monthlyRate * rateFactor) / (rateFactor - 1);
+    const totalPayments = monthlyPayment * termMonths;
+    const totalInterest = totalPayments - principal;
+
+    return { monthlyPayment, totalPayments, totalInterest, monthlyRate };
+}
+
+function calculatePaymentBreakdown(principal, annualRate, monthlyPayment, currentBalance = null, compounding = 'monthly') {
+    const balance = currentBalance !== null ? currentBalance : principal;
+    const monthlyRate = getMonthlyRate(annualRate, compounding);
+    const interestPortion = balance * monthlyRate;
+    const principalPortion = monthlyPayment - interestPortion;
+
+    return { interestPortion, principalPortion };
+}
+
+function calculateBracketTax(amount, brackets) {
+    let totalTax = 0;
+    let remaining = amount;
+    let previousThreshold = 0;
+    const breakdown = [];
+
+    for (const bracket of brackets) {
+        const bracketMax = bracket.threshold - previousThreshold;
+        const amountInBracket = Math.min(remaining, bracketMax);
+
+        if (amountInBracket > 0) {
+            const taxInBracket = amountInBracket * bracket.rate;
+            breakdown.push({
+                from: previousThreshold,
+                to: Math.min(bracket.threshold, amount),
+                rate: bracket.rate,
+                amount: amountInBracket,
+                tax: taxInBracket
+            });
+            totalTax += taxInBracket;
+            remaining -= amountInBracket;
+        }
+
+        previousThreshold = bracket.threshold;
+        if (remaining <= 0) break;
+    }
+
+    return { breakdown, totalTax };
+}
+
+function calculateFirstTimeBuyerRelief(relief, purchasePrice, brackets, grossTax) {
+    if (!relief) return 0;
+    if (relief.maxRebate !== undefined) return Math.min(grossTax, relief.maxRebate);
+
+    if (purchasePrice >= relief.phaseOutEnd) return 0;
+    const exemptTax = calculateBracketTax(Math.min(purchasePrice, relief.exemptAmount), brackets).totalTax;
+    if (purchasePrice <= relief.phaseOutStart) return exemptTax;
+    return exemptTax * (relief.phaseOutEnd - purchasePrice) / (relief.phaseOutEnd - relief.phaseOutStart);
+}
+
+/**
+ * Land transfer tax for the jurisdiction ({ province, municipality, firstTimeBuyer, year }):
+ * the provincial tax and/or the municipal tax, each less its first-time-buyer relief, with
+ * the brackets in effect in that year (the current year by default).
+ * breakdown lists every bracket of every component, tagged with the component's name.
+ */
+function calculateWelcomeTax(purchasePrice, jurisdiction = DEFAULT_JURISDICTION) {
+    const year = jurisdiction.year || new Date().getFullYear();
+
+    const components = getTransferTaxRules(jurisdiction).map(rules => {
+        const { year: bracketYear, brackets } = getTransferTaxBrackets(rules, year);
+        const { breakdown, totalTax } = calculateBracketTax(purchasePrice, brackets);
+        const rebate = jurisdiction.firstTimeBuyer
+            ? calculateFirstTimeBuyerRelief(rules.firstTimeBuyerRelief, purchasePrice, brackets, totalTax)
+            : 0;
+        return { name: `${rules.name} ${rules.transferTaxName}`, year: bracketYear, breakdown, grossTax: totalTax, rebate, tax: totalTax - rebate };
+    });
+
+    return {
+        breakdown: components.flatMap(component => component.breakdown.map(row => ({ ...row, component: component.name }))),
+        components,
+        rebate: components.reduce((sum, component) => sum + component.rebate, 0),
+        totalTax: components.reduce((sum, component) => sum + component.tax, 0)
+    };
+}
+
+function getQualifyingRate(contractRate) {
+    return Math.max(contractRate + STRESS_TEST_BUFFER, MINIMUM_QUALIFYING_RATE);
+}
+
+function calculateDownPayment(value, mode, purchasePrice) {
+    return mode === 'percent' ? (value / 100) * purchasePrice : value;
+}
+
+function calculateMinimumDownPayment(purchasePrice, rules = getRegulatoryRules()) {
+    if (purchasePrice >= rules.insuredPriceCap) {
+        return purchasePrice * UNINSURED_MINIMUM_DOWN_PAYMENT;
+    }
+
+    let minimum = 0;
+    let previousThreshold = 0;
+    for (const bracket of MINIMUM_DOWN_PAYMENT_BRACKETS) {
+        const amountInBracket = Math.min(purchasePrice, bracket.threshold) - previousThreshold;
+        if (amountInBracket <= 0) break;
+        minimum += amountInBracket * bracket.rate;
+        previousThreshold = bracket.threshold;
+    }
+    return minimum;
+}
+
+const DEFAULT_QUALIFYING_LIMITS = { gds: GDS_QUALIFYING_LIMIT, tds: TDS_QUALIFYING_LIMIT };
+
+function calculateOwnerRatios(owner, totalGrossIncome, gdsHousingCosts, rrspRepayment = 0, limits = DEFAULT_QUALIFYING_LIMITS) {
+    const incomeShare = totalGrossIncome > 0 ? owner.income / totalGrossIncome : 0;
+    const housingCostShare = gdsHousingCosts * incomeShare;
+    const tdsAmount = housingCostShare + owner.totalDebts + rrspRepayment;
+
+    const gdsRatio = owner.income > 0 ? (housingCostShare / owner.income) * 100 : 0;
+    const tdsRatio = owner.income > 0 ? (tdsAmount / owner.income) * 100 : 0;
+
+    // An owner without income carries no housing share; their debts still count in the household TDS
+    const qualifies = owner.income <= 0 || (gdsRatio <= limits.gds && tdsRatio <= limits.tds);
+
+    return { incomeShare, housingCostShare, tdsAmount, gdsRatio, tdsRatio, qualifies };
+}
+
+function checkQualification(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment = 0, limits = DEFAULT_QUALIFYING_LIMITS) {
+    if (!ownerData || ownerData.length === 0 || totalGrossIncome <= 0) {
+        return { owners: [], householdGds: 0, householdTds: 0, qualifies: false };
+    }
+
+    // Each owner carries the share of the HBP repayment for their own withdrawals
+    const ownerResults = ownerData.map(owner => ({
+        name: owner.name,
+        income: owner.income,
+        ...calculateOwnerRatios(owner, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment * owner.hbpRepaymentShare, limits)
+    }));
+
+    const totalDebts = ownerData.reduce((sum, owner) => sum + owner.totalDebts, 0);
+    const householdGds = (gdsHousingCosts / totalGrossIncome) * 100;
+    const householdTds = ((gdsHousingCosts + totalDebts + rrspMonthlyRepayment) / totalGrossIncome) * 100;
+
+    // Owner ratios only differ from the household's through individual debts, so GDS and
+    // TDS are checked separately to report which one fails
+    const gdsPasses = householdGds <= limits.gds && ownerResults.every(o => o.income <= 0 || o.gdsRatio <= limits.gds);
+    const tdsPasses = householdTds <= limits.tds && ownerResults.every(o => o.income <= 0 || o.tdsRatio <= limits.tds);
+
+    return {
+        owners: ownerResults,
+        householdGds,
+        householdTds,
+        gdsPasses,
+        tdsPasses,
+        qualifies: gdsPasses && tdsPasses
+    };
+}
+
+/**
+ * Bisect for the highest price (to the nearest step) at which passesAt(price) holds.
+ * Assumes the passing prices form a single range starting from zero.
+ */
+function bisectMaxPrice(passesAt, upperBound = 10000000, step = 1000) {
+    // Search over whole steps so the price just above the result is known to fail
+    let low = 0;
+    let high = Math.floor(upperBound / step);
+    if (!passesAt(step)) return 0;
+    if (passesAt(high * step)) return high * step;
+
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (passesAt(mid * step)) low = mid;
+        else high = mid;
+    }
+
+    return low * step;
+}
+
+// =============================================================================
+// AMORTIZATION ENGINE
+// =============================================================================
+
+const CHART_HORIZON_MONTHS = 360;  // Charts show 30 years
+
+/**
+ * Split a loan's amortization into rate terms: the initial term, then each renewal in order.
+ * A blank term length runs to the end of the amortization (calculateScenario() warns if
+ * renewals follow it), and the last term is extended (renewed at the same rate) if the
+ * renewals stop short of it.
+ */
+function getLoanRateTerms(loan) {
+    const fixedCompounding = loan.fixedCompounding || loan.compounding;
+    const terms = [];
+    let startMonth = 1;
+
+    const addTerm = (lengthMonths, rate, rateType) => {
+        const remaining = loan.termMonths - startMonth + 1;
+        if (remaining <= 0) return;
+        const length = lengthMonths > 0 ? Math.min(lengthMonths, remaining) : remaining;
+        terms.push({
+            termNumber: terms.length + 1,
+            startMonth,
+            lengthMonths: length,
+            rate,
+            rateType: rateType || 'fixed',
+            compounding: getTermCompounding(rateType, fixedCompounding)
+        });
+        startMonth += length;
+    };
+
+    addTerm(loan.termLengthMonths, loan.rate, loan.rateType);
+    (loan.renewals || []).forEach(renewal => addTerm(renewal.lengthMonths, renewal.rate, renewal.rateType));
+
+    const lastTerm = terms[terms.length - 1];
+    if (lastTerm && startMonth <= loan.termMonths) {
+        lastTerm.lengthMonths += loan.termMonths - startMonth + 1;
+    }
+
+    return terms;
+}
+
+/**
+ * Voluntary prepayments for a loan: the factor applied to the scheduled payment and the
+ * yearly lump sum, capped at the privilege limit.
+ */
+function getPrepaymentPlan(loan) {
+    const privilegePercent = loan.privilegePercent ?? DEFAULT_PREPAYMENT_PRIVILEGE;
+
+    return {
+        paymentFactor: 1 + (loan.paymentIncreasePercent || 0) / 100,
+        annualLumpSum: Math.min(loan.lumpSum || 0, loan.amount * privilegePercent / 100)
+    };
+}
+
+/**
+ * Accelerated frequencies count as prepayments: they are measured against the same
+ * frequency paid at the regular rate.
+ */
+function hasPrepayments(loan) {
+    const plan = getPrepaymentPlan(loan);
+    return plan.paymentFactor !== 1 || plan.annualLumpSum > 0 || Boolean(getPaymentFrequency(loan.paymentFrequency).baseFrequency);
+}
+
+/**
+ * Lump sum paid on each loan anniversary, never more than the remaining balance.
+ */
+function getLumpSumPrepayment(plan, month, balance) {
+    return month % 12 === 0 ? Math.min(plan.annualLumpSum, Math.max(0, balance)) : 0;
+}
+
+/**
+ * Calendar month (1-based, from the first payment) in which a payment period falls.
+ */
+function getPeriodMonth(period, frequency) {
+    return Math.ceil(period * 12 / frequency.periodsPerYear - 1e-9);
+}
+
+/**
+ * Roll a payment period into the schedule's monthly rows: amounts add up within the month,
+ * the balance is the one after the month's last payment, and event flags stick.
+ */
+function addPeriodToMonthlyRows(rows, month, period) {
+    const row = rows[rows.length - 1];
+    if (!row || row.month !== month) {
+        rows.push({ month, ...period });
+        return;
+    }
+
+    ['payment', 'interest', 'principal', 'prepayment'].forEach(key => { row[key] += period[key]; });
+    ['isRenewal', 'isRateChange', 'isTriggerRate', 'isTriggerPoint', 'isBalloon'].forEach(key => {
+        if (period[key]) row[key] = true;
+    });
+    row.balance = period.balance;
+    row.cumulativeInterest = period.cumulativeInterest;
+    row.rate = period.rate;
+    row.termNumber = period.termNumber;
+}
+
+function toIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getCurrentDate() {
+    return toIsoDate(new Date());
+}
+
+function addDaysToDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return toIsoDate(new Date(year, month - 1, day + days));
+}
+
+function getMonthsBetween(fromYearMonth, toYearMonth) {
+    const [fromYear, fromMonth] = fromYearMonth.split('-').map(Number);
+    const [toYear, toMonth] = toYearMonth.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+function getCurrentYearMonth() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function addMonthsToYearMonth(yearMonth, months) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    const total = year * 12 + (month - 1) + months;
+    return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Prime rate in effect for a 'YYYY-MM' month: the latest dated change on or before it,
+ * or the starting prime rate if no change applies yet.
+ */
+function getPrimeRateAt(primePath, startingPrime, yearMonth) {
+    let rate = startingPrime;
+    for (const change of primePath) {
+        if (change.date && change.date <= yearMonth) rate = change.rate;
+    }
+    return rate;
+}
+
+/**
+ * Schedule for a variable-rate loan priced at prime + spread. Adjustable-payment loans
+ * re-amortize at every rate change. Fixed-payment loans keep their payment: past the trigger
+ * rate the unpaid interest is added to the balance, and once the balance passes the trigger
+ * point the lender resets the payment to amortize the rest over the remaining periods. If the
+ * payment falls behind without reaching the trigger point, the final payment clears what is
+ * left and is flagged as a balloon.
+ */
+function buildVariableRateSchedule(loan) {
+    const rows = [];
+    const frequency = getPaymentFrequency(loan.paymentFrequency);
+    const totalPeriods = Math.round(loan.termMonths / 12 * frequency.periodsPerYear);
+    const primePath = [...(loan.primePath || [])].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+    const startDate = loan.startDate || getCurrentYearMonth();
+    const rateAt = month => getPrimeRateAt(primePath, loan.primeRate, addMonthsToYearMonth(startDate, month - 1)) + loan.primeSpread;
+    const triggerBalance = loan.amount * VARIABLE_TRIGGER_POINT_RATIO;
+    const plan = getPrepaymentPlan(loan);
+    const reamortize = (balance, rate, remainingPeriods) => calculatePeriodicPayment(
+        balance, rate, remainingPeriods * 12 / frequency.periodsPerYear, 'monthly', loan.paymentFrequency
+    ) * plan.paymentFactor;
+
+    let balance = loan.amount;
+    let cumulativeInterest = 0;
+    let payment = reamortize(balance, rateAt(1), totalPeriods);
+    let previousMonth = 0;
+    let previousRate = null;
+    let triggerRateHit = false;
+    let triggerPointHit = false;
+
+    for (let period = 1; period <= totalPeriods && balance > 0.005 && payment > 0; period++) {
+        const month = getPeriodMonth(period, frequency);
+        const rate = rateAt(month);
+        const remainingPeriods = totalPeriods - period + 1;
+        const isRateChange = previousRate !== null && rate !== previousRate;
+
+        if (isRateChange && loan.paymentType === 'adjustable') {
+            payment = reamortize(balance, rate, remainingPeriods);
+        }
+
+        const interest = balance * getPeriodicRate(rate, 'monthly', frequency.periodsPerYear);
+        const isTriggerRate = !triggerRateHit && interest >= payment;
+        triggerRateHit = triggerRateHit || isTriggerRate;
+
+        // Negative principal = deferred interest; the final payment clears whatever is left
+        let principal = Math.min(payment - interest, balance);
+        const isBalloon = period === totalPeriods && balance - principal > 1;
+        if (period === totalPeriods) principal = balance;
+        balance -= principal;
+        const prepayment = month !== previousMonth ? getLumpSumPrepayment(plan, month, balance) : 0;
+        balance -= prepayment;
+        cumulativeInterest += interest;
+
+        const isTriggerPoint = !triggerPointHit && balance > triggerBalance;
+        if (isTriggerPoint) {
+            triggerPointHit = true;
+            payment = reamortize(balance, rate, remainingPeriods - 1);
+        }
+
+        addPeriodToMonthlyRows(rows, month, {
+            payment: interest + principal,
+            interest,
+            principal,
+            prepayment,
+            balance: Math.max(0, balance),
+            cumulativeInterest,
+            rate,
+            termNumber: 1,
+            isRenewal: false,
+            isRateChange,
+            isTriggerRate,
+            isTriggerPoint,
+            isBalloon
+        });
+        previousMonth = month;
+        previousRate = rate;
+    }
+
+    return rows;
+}
+
+/**
+ * Monthly schedule for a family loan with flexible terms. Nothing is paid during the deferral
+ * (the interest is added to the balance), then only the interest, then the balance amortizes
+ * over the months left. A balloon loan pays interest only and repays the balance in its last
+ * month, when the home is sold. Forgiven amounts come off the balance on the first
+ * anniversaries and the payment is recalculated over the months left.
+ */
+function buildFamilyLoanSchedule(loan) {
+    const rows = [];
+    const terms = loan.familyTerms;
+    const monthlyRate = getMonthlyRate(loan.rate, loan.compounding);
+    const interestOnlyEnd = terms.deferralMonths + terms.interestOnlyMonths;
+    const plan = getPrepaymentPlan(loan);
+    let balance = loan.amount;
+    let cumulativeInterest = 0;
+    let payment = null;
+
+    for (let month = 1; month <= loan.termMonths && balance > 0.005; month++) {
+        const interest = balance * monthlyRate;
+        const isLastMonth = month === loan.termMonths;
+        const isDeferred = month <= terms.deferralMonths && !isLastMonth;
+        const isInterestOnly = !isDeferred && !isLastMonth && (month <= interestOnlyEnd || terms.balloonOnSale);
+
+        let principal = 0;
+        if (isDeferred) {
+            // Deferred interest is added to the balance
+            principal = -interest;
+        } else if (isLastMonth) {
+            principal = balance;
+        } else if (!isInterestOnly) {
+            if (payment === null) {
+                payment = calculateMonthlyPayment(balance, loan.rate, loan.termMonths - month + 1, loan.compounding).monthlyPayment * plan.paymentFactor;
+            }
+            principal = Math.min(payment - interest, balance);
+        }
+        balance -= principal;
+        const prepayment = getLumpSumPrepayment(plan, month, balance);
+        balance -= prepayment;
+        const forgiven = month % 12 === 0 && month / 12 <= terms.forgivenessYears
+            ? Math.min(terms.forgivenessAmount, Math.max(0, balance))
+            : 0;
+        if (forgiven > 0) {
+            balance -= forgiven;
+            payment = null;
+        }
+        cumulativeInterest += interest;
+
+        rows.push({
+            month,
+            payment: interest + principal,
+            interest,
+            principal,
+            prepayment,
+            forgiven,
+            balance: Math.max(0, balance),
+            cumulativeInterest,
+            rate: loan.rate,
+            termNumber: 1,
+            isRenewal: false,
+            isDeferred,
+            isInterestOnly,
+            isBalloon: terms.balloonOnSale && isLastMonth
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Month-by-month schedule for one loan. Each row holds the month's payments and their
+ * interest/principal split, any lump-sum prepayment, the closing balance and the cumulative
+ * interest paid so far. Loans paid more often than monthly are simulated payment by payment
+ * and rolled up into calendar months. The payment is recalculated over the remaining
+ * amortization at the start of every renewal term, then increased by the prepayment plan.
+ */
+function buildAmortizationSchedule(loan) {
+    if (loan.isVariableRate) return buildVariableRateSchedule(loan);
+    if (hasFamilyLoanTerms(loan.familyTerms)) return buildFamilyLoanSchedule(loan);
+
+    const rows = [];
+    const frequency = getPaymentFrequency(loan.paymentFrequency);
+    const totalPeriods = Math.round(loan.termMonths / 12 * frequency.periodsPerYear);
+    const terms = getLoanRateTerms(loan);
+    const plan = getPrepaymentPlan(loan);
+    let balance = loan.amount;
+    let cumulativeInterest = 0;
+    let periodicRate = 0;
+    let payment = 0;
+    let term = null;
+    let previousMonth = 0;
+
+    for (let period = 1; period <= totalPeriods && balance > 0.005; period++) {
+        const month = getPeriodMonth(period, frequency);
+        const isNewTerm = terms.length > 0 && (term === null || month >= term.startMonth + term.lengthMonths);
+        if (isNewTerm) {
+            term = terms[term === null ? 0 : term.termNumber];
+            periodicRate = getPeriodicRate(term.rate, term.compounding, frequency.periodsPerYear);
+            const remainingMonths = (totalPeriods - period + 1) * 12 / frequency.periodsPerYear;
+            payment = calculatePeriodicPayment(balance, term.rate, remainingMonths, term.compounding, loan.paymentFrequency) * plan.paymentFactor;
+        }
+        if (payment <= 0) break;
+
+        const interest = balance * periodicRate;
+        const principal = Math.min(payment - interest, balance);
+        balance -= principal;
+        const prepayment = month !== previousMonth ? getLumpSumPrepayment(plan, month, balance) : 0;
+        balance -= prepayment;
+        cumulativeInterest += interest;
+
+        addPeriodToMonthlyRows(rows, month, {
+            payment: interest + principal,
+            interest,
+            principal,
+            prepayment,
+            balance: Math.max(0, balance),
+            cumulativeInterest,
+            rate: term.rate,
+            termNumber: term.termNumber,
+            isRenewal: isNewTerm && term.termNumber > 1
+        });
+        previousMonth = month;
+    }
+
+    return rows;
+}
+
+/**
+ * Schedules for every loan plus a combined household schedule (sums across loans per month).
+ * Loans with prepayments also keep their scheduled-payments-only rows as a baseline for
+ * measuring interest saved.
+ */
+function buildHouseholdSchedule(loanPaymentDetails) {
+    const loans = loanPaymentDetails.map(loan => {
+        const rows = buildAmortizationSchedule(loan);
+        const baselineRows = hasPrepayments(loan)
+            ? buildAmortizationSchedule({
+                ...loan,
+                lumpSum: 0,
+                paymentIncreasePercent: 0,
+                paymentFrequency: getPaymentFrequency(loan.paymentFrequency).baseFrequency || loan.paymentFrequency
+            })
+            : rows;
+
+        return {
+            name: loan.name,
+            sourceType: loan.sourceType,
+            sourceIndex: loan.sourceIndex,
+            amount: loan.amount,
+            rows,
+            baselineRows
+        };
+    });
+
+    const totalMonths = Math.max(0, ...loans.map(loan => loan.rows.length));
+    const rows = [];
+    let cumulativeInterest = 0;
+
+    for (let i = 0; i < totalMonths; i++) {
+        const row = { month: i + 1, payment: 0, interest: 0, principal: 0, prepayment: 0, balance: 0, cumulativeInterest: 0 };
+        loans.forEach(loan => {
+            const loanRow = loan.rows[i];
+            if (loanRow) {
+                row.payment += loanRow.payment;
+                row.interest += loanRow.interest;
+                row.principal += loanRow.principal;
+                row.prepayment += loanRow.prepayment;
+                row.balance += loanRow.balance;
+            }
+        });
+        cumulativeInterest += row.interest;
+        row.cumulativeInterest = cumulativeInterest;
+        rows.push(row);
+    }
+
+    return { loans, rows };
+}
+
+/**
+ * Remaining balance of a loan after a number of months (0 = original amount). Pass the
+ * loan's baselineRows to read the balance without prepayments.
+ */
+function getScheduleBalance(loanSchedule, month, rows = loanSchedule.rows) {
+    if (month <= 0 || rows.length === 0) return loanSchedule.amount;
+    if (month > rows.length) return 0;
+    return rows[month - 1].balance;
+}
+
+/**
+ * Total remaining debt across every loan at each year end (index 0 = amounts borrowed).
+ */
+function getYearlyRemainingDebt(schedule, years) {
+    return Array.from({ length: years + 1 }, (_, year) =>
+        schedule.loans.reduce((sum, loan) => sum + getScheduleBalance(loan, year * 12), 0)
+    );
+}
+
+/**
+ * Interest saved and months shaved off by prepayments, across every loan in the schedule.
+ */
+function summarizePrepaymentSavings(schedule) {
+    const totalInterest = rows => rows.length > 0 ? rows[rows.length - 1].cumulativeInterest : 0;
+    const payoffMonths = key => Math.max(0, ...schedule.loans.map(loan => loan[key].length));
+
+    return {
+        interestSaved: schedule.loans.reduce((sum, loan) => sum + totalInterest(loan.baselineRows) - totalInterest(loan.rows), 0),
+        payoffMonths: payoffMonths('rows'),
+        baselinePayoffMonths: payoffMonths('baselineRows')
+    };
+}
+
+function formatYearMonth(yearMonth) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-CA', { month: 'short', year: 'numeric' });
+}
+
+function formatDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-CA', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function formatMonthsDuration(months) {
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    return [years > 0 ? `${years}y` : '', remainder > 0 ? `${remainder}m` : ''].filter(Boolean).join(' ') || '0m';
+}
+
+// =============================================================================
+// PROPERTY VALUE PROJECTION
+// =============================================================================
+
+/**
+ * Parse a comma-separated list of numbers ("3, 2.5, 4"), ignoring blanks and typos.
+ */
+function parseNumberList(text) {
+    return String(text || '')
+        .split(/[,;\s]+/)
+        .map(value => parseFloat(value))
+        .filter(value => !isNaN(value));
+}
+
+/**
+ * Appreciation rate (%) for a 1-based year. A year-by-year series wins over the flat rate,
+ * and its last value carries on once the series runs out.
+ */
+function getAppreciationRateForYear(appreciation, year) {
+    const series = appreciation.series || [];
+    if (series.length === 0) return appreciation.rate;
+    return series[Math.min(year, series.length) - 1];
+}
+
+/**
+ * Property value at each year end (index 0 = purchase price), with the yearly rate shifted
+ * by an adjustment (e.g. -spread for the pessimistic band).
+ */
+function projectPropertyValues(purchasePrice, appreciation, years, adjustment = 0) {
+    const values = [purchasePrice];
+    for (let year = 1; year <= years; year++) {
+        const rate = getAppreciationRateForYear(appreciation, year) + adjustment;
+        values.push(values[year - 1] * (1 + rate / 100));
+    }
+    return values;
+}
+
+function calculateNetEquity(propertyValue, remainingDebt, sellingCostPercent) {
+    const sellingCosts = propertyValue * sellingCostPercent / 100;
+    return {
+        sellingCosts,
+        netEquity: propertyValue - sellingCosts - remainingDebt
+    };
+}
+
+// Years at which net equity is reported: the user's horizons, or the defaults
+function getEquityHorizons(appreciation, maxYears) {
+    return (appreciation.horizons.length > 0 ? appreciation.horizons : DEFAULT_EQUITY_HORIZONS)
+        .filter(year => year > 0 && year <= maxYears)
+        .map(Math.round);
+}
+
+/**
+ * Equity at each year end (index 0 = purchase) for the equity chart and the Summary. Returns
+ * { propertyValues, remainingDebt, baselineDebt, equity, bands, horizons } where baselineDebt
+ * is the debt without prepayments (null if there are none), bands the pessimistic and
+ * optimistic property values when shown, and horizons the net equity at each reporting year.
+ */
+function projectEquity(purchasePrice, appreciation, schedule, years) {
+    const propertyValues = projectPropertyValues(purchasePrice, appreciation, years);
+    const remainingDebt = getYearlyRemainingDebt(schedule, years);
+    const bands = appreciation.showBands ? {
+        pessimistic: projectPropertyValues(purchasePrice, appreciation, years, -appreciation.spread),
+        optimistic: projectPropertyValues(purchasePrice, appreciation, years, appreciation.spread)
+    } : null;
+    const netEquityAt = (values, year) => calculateNetEquity(values[year], remainingDebt[year], appreciation.sellingCostPercent);
+
+    return {
+        propertyValues,
+        remainingDebt,
+        baselineDebt: schedule.loans.some(loan => loan.baselineRows !== loan.rows)
+            ? remainingDebt.map((_, year) => schedule.loans.reduce((sum, loan) => sum + getScheduleBalance(loan, year * 12, loan.baselineRows), 0))
+            : null,
+        equity: propertyValues.map((value, year) => value - remainingDebt[year]),
+        bands,
+        horizons: getEquityHorizons(appreciation, years).map(year => ({
+            year,
+            propertyValue: propertyValues[year],
+            remainingDebt: remainingDebt[year],
+            ...netEquityAt(propertyValues, year),
+            range: bands ? {
+                low: netEquityAt(bands.pessimistic, year).netEquity,
+                high: netEquityAt(bands.optimistic, year).netEquity
+            } : null
+        }))
+    };
+}
+
+// =============================================================================
+// FIRST HOME SAVINGS ACCOUNT
+// =============================================================================
+
+/**
+ * Project one CELIAPP (FHSA) from today to the closing date. Room is fhsaAnnualLimit a year
+ * from the year the account is opened, plus last year's unused room up to one year's limit,
+ * and lifetime contributions stop at fhsaMaxContribution. Contributions to date use up the
+ * room earned so far, this year's included; the planned yearly contribution goes in right
+ * away this year and each January after, until closing or the end of the account's
+ * participation period. The balance grows at the expected return, compounded monthly.
+ * Without an opening year (saves from before it was asked) the room to date is unknown:
+ * it is not checked, and this year gets a full year's room.
+ *
+ * Returns { openedYear, balance, years: [{ year, room, contribution }], totalContributed,
+ * taxRefund, roomToDate } where taxRefund is the deduction for the planned contributions
+ * at the marginal rate and roomToDate is null when the opening year is unknown.
+ */
+function projectFhsa(params) {
+    const {
+        balance, contributed, annualContribution, annualReturn, marginalTaxRate,
+        fromDate, closingDate, rules
+    } = params;
+    const fromMonth = fromDate.slice(0, 7);
+    const closingMonth = closingDate.slice(0, 7);
+    const currentYear = Number(fromDate.slice(0, 4));
+    const openedYear = params.openedYear || currentYear;
+    const lastYear = Math.min(Number(closingDate.slice(0, 4)), openedYear + rules.fhsaMaxParticipationYears);
+    const monthlyReturn = Math.pow(1 + annualReturn / 100, 1 / 12) - 1;
+    const growTo = (amount, month) => amount * Math.pow(1 + monthlyReturn, Math.max(0, getMonthsBetween(month, closingMonth)));
+
+    // Room earned up to and including this year; what is left of it can be used this year,
+    // up to this year's limit plus one year carried forward
+    const yearsOpen = Math.max(0, currentYear - openedYear + 1);
+    const roomToDate = params.openedYear
+        ? Math.min(rules.fhsaAnnualLimit * yearsOpen, rules.fhsaMaxContribution)
+        : null;
+    const roomThisYear = roomToDate === null
+        ? rules.fhsaAnnualLimit
+        : Math.min(rules.fhsaAnnualLimit * 2, Math.max(0, roomToDate - contributed));
+    let carryForward = 0;
+    let totalContributed = contributed;
+    let projected = closingMonth > fromMonth ? growTo(balance, fromMonth) : balance;
+    const years = [];
+
+    for (let year = currentYear; year <= lastYear && closingMonth > fromMonth; year++) {
+        if (year < openedYear) continue;
+        const yearRoom = year === currentYear ? roomThisYear : rules.fhsaAnnualLimit + carryForward;
+        const room = Math.min(yearRoom, Math.max(0, rules.fhsaMaxContribution - totalContributed));
+        const contribution = Math.min(annualContribution, room);
+        const contributionMonth = year === currentYear ? fromMonth : `${year}-01`;
+        if (contributionMonth >= closingMonth) break;
+
+        totalContributed += contribution;
+        projected += growTo(contribution, contributionMonth);
+        carryForward = Math.min(rules.fhsaAnnualLimit, room - contribution);
+        years.push({ year, room, contribution });
+    }
+
+    return {
+        openedYear,
+        balance: projected,
+        years,
+        totalContributed,
+        taxRefund: (totalContributed - contributed) * marginalTaxRate / 100,
+        roomToDate
+    };
+}
+
+// A CELIAPP source projected to a date (an account without an opening year is taken as open this year)
+function getFhsaProjection(source, date, rules) {
+    const today = getCurrentDate();
+    return projectFhsa({
+        openedYear: source.fhsaOpenedYear || 0,
+        balance: source.fhsaBalance || 0,
+        contributed: source.fhsaContributed || 0,
+        annualContribution: source.fhsaAnnualContribution || 0,
+        annualReturn: source.fhsaReturn || 0,
+        marginalTaxRate: source.fhsaTaxRate || 0,
+        fromDate: today,
+        closingDate: date,
+        rules
+    });
+}
+
+/**
+ * Conditions for a qualifying (tax-free) CELIAPP withdrawal at closing, for every CELIAPP
+ * source with its projection. Returns warnings like validateMortgageInsurance().
+ */
+function validateFhsaWithdrawals(params) {
+    const { fhsaSources, owners, closingDate, firstTimeBuyer, rules } = params;
+    const warnings = [];
+    const warn = (code, message) => warnings.push({ type: 'warning', source: 'CELIAPP', code, message });
+    const closingYear = Number(closingDate.slice(0, 4));
+
+    if (fhsaSources.length > 0 && rules.fhsaMaxContribution === 0) {
+        warn('fhsaUnavailable', 'CELIAPP accounts are not available before April 1, 2023.');
+        return warnings;
+    }
+
+    const contributedByOwner = new Map();
+    fhsaSources.forEach(source => {
+        const ownerName = owners[source.owner]?.name || owners[0]?.name || 'The owner';
+        const { fhsa } = source;
+        const { openedYear } = fhsa;
+        contributedByOwner.set(ownerName, (contributedByOwner.get(ownerName) || 0) + fhsa.totalContributed);
+
+        if (fhsa.roomToDate !== null && source.fhsaContributed > fhsa.roomToDate) {
+            warn('fhsaOverContribution', `${ownerName}'s CELIAPP contributions to date (${formatCurrency(source.fhsaContributed)}) exceed the ${formatCurrency(fhsa.roomToDate)} of room earned since ${openedYear}; the excess is taxed at 1% a month until withdrawn.`);
+        }
+        if (openedYear > closingYear) {
+            warn('fhsaNotOpen', `${ownerName}'s CELIAPP opens in ${openedYear}, after the closing date.`);
+        } else if (closingYear > openedYear + rules.fhsaMaxParticipationYears) {
+            warn('fhsaExpired', `${ownerName}'s CELIAPP must be closed by the end of ${openedYear + rules.fhsaMaxParticipationYears} (${rules.fhsaMaxParticipationYears} years after opening), before a ${closingYear} closing.`);
+        }
+        if (!firstTimeBuyer && fhsa.balance > 0) {
+            warn('fhsaFirstTimeBuyer', `Only a first-time home buyer can withdraw from a CELIAPP tax-free: otherwise ${formatCurrency(fhsa.balance)} from ${ownerName}'s account is taxable income.`);
+        }
+    });
+
+    contributedByOwner.forEach((total, ownerName) => {
+        if (total > rules.fhsaMaxContribution) {
+            warn('fhsaLifetimeLimit', `${ownerName}'s CELIAPP contributions total ${formatCurrency(total)}, above the ${formatCurrency(rules.fhsaMaxContribution)} lifetime limit.`);
+        }
+    });
+
+    return warnings;
+}
+
+// =============================================================================
+// SAVINGS PLAN
+// =============================================================================
+
+const SAVINGS_PLAN_MAX_MONTHS = 120;
+
+// Savings that follow the savings plan: every savings source but the CELIAPP, which has its own projection
+function followsSavingsPlan(typeConfig) {
+    return !typeConfig.isLoan && !typeConfig.hasContributionRoom;
+}
+
+/**
+ * Balance of a savings source on a date under the savings plan: today's balance plus the
+ * monthly contribution at the end of every month, growing at the expected return
+ * compounded monthly.
+ */
+function projectSavingsBalance(source, fromDate, toDate) {
+    const months = Math.max(0, getMonthsBetween(fromDate.slice(0, 7), toDate.slice(0, 7)));
+    const monthlyReturn = Math.pow(1 + (source.planReturn || 0) / 100, 1 / 12) - 1;
+    const growth = Math.pow(1 + monthlyReturn, months);
+    const contribution = source.planMonthlyContribution || 0;
+    const contributions = monthlyReturn !== 0 ? contribution * (growth - 1) / monthlyReturn : contribution * months;
+    return (source.planBalance || 0) * growth + contributions;
+}
+
+/**
+ * Savings toward the down payment on a date, with every savings source projected to it.
+ */
+function projectDownPaymentSavings(sources, date, rules) {
+    return sources.reduce((sum, source) => {
+        const typeConfig = FINANCING_TYPES[source.sourceType];
+        if (!typeConfig || typeConfig.isLoan || !typeConfig.countsTowardDownPayment) return sum;
+        if (typeConfig.hasContributionRoom) return sum + getFhsaProjection(source, date, rules).balance;
+        return sum + projectSavingsBalance(source, getCurrentDate(), date);
+    }, 0);
+}
+
+/**
+ * First month, starting with this one, in which the projected savings cover the cash
+ * needed. Returns { date, months } or null if that takes over SAVINGS_PLAN_MAX_MONTHS.
+ */
+function findEarliestAffordableDate(cashNeeded, savingsOn) {
+    const fromMonth = getCurrentDate().slice(0, 7);
+    for (let months = 0; months <= SAVINGS_PLAN_MAX_MONTHS; months++) {
+        const date = `${addMonthsToYearMonth(fromMonth, months)}-01`;
+        if (savingsOn(date) >= cashNeeded) return { date, months };
+    }
+    return null;
+}
+
+// =============================================================================
+// HOME BUYERS' PLAN
+// =============================================================================
+
+// HBP repayments start hbpRepaymentGraceYears after the year of the withdrawal (at closing)
+function getHbpRepaymentStartYear(withdrawalDate, rules) {
+    return Number(withdrawalDate.slice(0, 4)) + rules.hbpRepaymentGraceYears;
+}
+
+/**
+ * Months from the closing month to January of the first HBP repayment year: the month
+ * index (from the first loan payment) at which monthly HBP repayments start.
+ */
+function getHbpRepaymentStartMonth(closingDate, startYear) {
+    return getMonthsBetween(closingDate.slice(0, 7), `${startYear}-01`) - 1;
+}
+
+/**
+ * HBP repayments for each owner who withdrew from an RRSP. Each RRSP source belongs to an
+ * owner by position (the first owner if that owner is gone). Every year from startYear the
+ * owner must repay the balance over the years left, which is the withdrawal over 15 years
+ * while no payment is missed; a missed minimum is added to the owner's taxable income for
+ * that year and comes off the balance.
+ *
+ * Returns { startYear, owners: [{ owner, name, sourceIndexes, withdrawal, annualMinimum,
+ * years: [{ year, minimum, repaid, includedInIncome, balance }], missedYears,
+ * includedInIncome }], repaidByYear } where repaidByYear totals the household's repayments.
+ */
+function calculateHbpRepayments(params) {
+    const { sources, owners, startYear, repaymentYears } = params;
+
+    const byOwner = new Map();
+    sources.forEach(source => {
+        const owner = source.owner > 0 && source.owner < owners.length ? source.owner : 0;
+        if (!byOwner.has(owner)) {
+            byOwner.set(owner, { owner, name: owners[owner]?.name || `Person ${owner + 1}`, sourceIndexes: [], withdrawal: 0, missed: new Set() });
+        }
+        const entry = byOwner.get(owner);
+        entry.sourceIndexes.push(source.index);
+        entry.withdrawal += source.amount;
+        (source.missedRepaymentYears || []).forEach(year => entry.missed.add(year));
+    });
+
+    const repaidByYear = {};
+    const ownerSchedules = [...byOwner.values()].sort((a, b) => a.owner - b.owner).map(entry => {
+        let balance = entry.withdrawal;
+        const years = [];
+        for (let i = 0; i < repaymentYears; i++) {
+            const year = startYear + i;
+            const minimum = balance / (repaymentYears - i);
+            const missed = entry.missed.has(year);
+            balance -= minimum;
+            years.push({ year, minimum, repaid: missed ? 0 : minimum, includedInIncome: missed ? minimum : 0, balance });
+            repaidByYear[year] = (repaidByYear[year] || 0) + (missed ? 0 : minimum);
+        }
+
+        const missedYears = years.filter(y => y.includedInIncome > 0);
+        return {
+            owner: entry.owner,
+            name: entry.name,
+            sourceIndexes: entry.sourceIndexes,
+            withdrawal: entry.withdrawal,
+            annualMinimum: entry.withdrawal / repaymentYears,
+            years,
+            missedYears: missedYears.map(y => y.year),
+            includedInIncome: missedYears.reduce((sum, y) => sum + y.includedInIncome, 0)
+        };
+    });
+
+    return { startYear, owners: ownerSchedules, repaidByYear };
+}
+
+// =============================================================================
+// CASH-FLOW TIMELINE
+// =============================================================================
+
+// The deposit is paid when the offer is accepted and the inspection follows within the week
+const DEPOSIT_DAYS_BEFORE_CLOSING = 60;
+const INSPECTION_DAYS_BEFORE_CLOSING = 53;
+const TIMELINE_MONTHS_AFTER_CLOSING = 12;
+
+/**
+ * Month-by-month cash flow from the deposit through closing to the first HBP repayment
+ * (or a year after closing). Up-front costs are drawn from the cash sources in the order
+ * of the financing list, moving and renovations from the joint account first; loans that
+ * fund the purchase (the parent's loan) arrive at closing. Loan payments, property tax
+ * instalments and HBP repayments are paid from income.
+ *
+ * Returns { months: [{ month, events, fromSavings, fromIncome, balances }], shortfall }
+ * where balances holds every cash source's balance at the end of the month.
+ */
+function buildCashFlowTimeline(params) {
+    const {
+        closingDate, depositAmount, inspectionCost, downPayment, notaryFees, movingCost, renovationCost,
+        welcomeTax, welcomeTaxDueMonths, monthlyLoanPayment, annualPropertyTax, propertyTaxInstalmentMonths,
+        hbpRepayment, cashSources
+    } = params;
+
+    const closingMonth = closingDate.slice(0, 7);
+    const atMonths = months => `${addMonthsToYearMonth(closingMonth, months)}${closingDate.slice(7)}`;
+    const deposit = Math.min(depositAmount, downPayment);
+
+    const events = [
+        { date: addDaysToDate(closingDate, -DEPOSIT_DAYS_BEFORE_CLOSING), label: 'Deposit', amount: deposit },
+        { date: addDaysToDate(closingDate, -INSPECTION_DAYS_BEFORE_CLOSING), label: 'Inspection', amount: inspectionCost },
+        { date: closingDate, label: 'Down payment at closing', amount: downPayment - deposit },
+        { date: closingDate, label: 'Notary / legal fees', amount: notaryFees },
+        { date: closingDate, label: 'Moving', amount: movingCost, fromJointAccount: true },
+        { date: atMonths(welcomeTaxDueMonths), label: 'Land transfer tax', amount: welcomeTax },
+        { date: atMonths(1), label: 'Renovations', amount: renovationCost, fromJointAccount: true }
+    ];
+
+    const hbpStartYear = hbpRepayment.startYear;
+    const lastMonth = hbpRepayment.owners.length > 0
+        ? `${hbpStartYear}-12`
+        : addMonthsToYearMonth(closingMonth, TIMELINE_MONTHS_AFTER_CLOSING);
+
+    for (let month = addMonthsToYearMonth(closingMonth, 1); month <= lastMonth; month = addMonthsToYearMonth(month, 1)) {
+        events.push({ date: `${month}-01`, label: 'Loan payments', amount: monthlyLoanPayment, fromIncome: true });
+        if (propertyTaxInstalmentMonths.includes(Number(month.slice(5)))) {
+            events.push({ date: `${month}-01`, label: 'Property tax instalment', amount: annualPropertyTax / propertyTaxInstalmentMonths.length, fromIncome: true });
+        }
+    }
+    hbpRepayment.owners.forEach(owner => {
+        events.push({ date: `${hbpStartYear}-12-31`, label: `First HBP repayment (${owner.name})`, amount: owner.years[0].repaid, fromIncome: true });
+    });
+
+    // Savings are on hand from the start; loans are paid out at closing
+    const balances = cashSources.map(source => ({ ...source, balance: source.isLoan ? 0 : source.amount }));
+    const drawOrder = fromJointAccount => fromJointAccount
+        ? [...balances.filter(s => s.sourceType === 'joint_account'), ...balances.filter(s => s.sourceType !== 'joint_account')]
+        : [...balances.filter(s => s.sourceType !== 'joint_account'), ...balances.filter(s => s.sourceType === 'joint_account')];
+
+    const sortedEvents = events.filter(event => event.amount > 0).sort((a, b) => a.date.localeCompare(b.date));
+    const firstMonth = sortedEvents.length > 0 && sortedEvents[0].date.slice(0, 7) < closingMonth
+        ? sortedEvents[0].date.slice(0, 7)
+        : closingMonth;
+
+    const months = [];
+    let shortfall = 0;
+    let fundsReleased = false;
+    for (let month = firstMonth; month <= lastMonth; month = addMonthsToYearMonth(month, 1)) {
+        if (!fundsReleased && month >= closingMonth) {
+            balances.filter(source => source.isLoan).forEach(source => { source.balance = source.amount; });
+            fundsReleased = true;
+        }
+
+        const monthEvents = sortedEvents.filter(event => event.date.slice(0, 7) === month).map(event => {
+            if (event.fromIncome) return { ...event };
+
+            let remaining = event.amount;
+            drawOrder(event.fromJointAccount).forEach(source => {
+                const drawn = Math.min(source.balance, remaining);
+                source.balance -= drawn;
+                remaining -= drawn;
+            });
+            shortfall += remaining;
+            return { ...event, shortfall: remaining };
+        });
+
+        months.push({
+            month,
+            events: monthEvents,
+            fromSavings: monthEvents.filter(event => !event.fromIncome).reduce((sum, event) => sum + event.amount, 0),
+            fromIncome: monthEvents.filter(event => event.fromIncome).reduce((sum, event) => sum + event.amount, 0),
+            balances: balances.map(source => ({ index: source.index, name: source.name, balance: source.balance }))
+        });
+    }
+
+    return { months, shortfall };
+}
+
+// =============================================================================
+// RENT VS BUY
+// =============================================================================
+
+/**
+ * Net worth of buying vs renting at each year end. Both households spend the same each
+ * month: whichever path costs less invests the difference, and the renter starts by
+ * investing the savings the buyer puts into the down payment and closing costs.
+ * Buying breaks even in the first year its net worth (net equity + investments) catches up.
+ */
+function simulateRentVsBuy(params) {
+    const {
+        years, upfrontSavings, buyMonthlyCosts, rent, rentEscalation, investmentReturn,
+        propertyValues, remainingDebt, sellingCostPercent
+    } = params;
+    const monthlyReturn = Math.pow(1 + investmentReturn / 100, 1 / 12) - 1;
+    const netEquityAt = year => calculateNetEquity(propertyValues[year], remainingDebt[year], sellingCostPercent).netEquity;
+
+    let renterPortfolio = upfrontSavings;
+    let buyerPortfolio = 0;
+    let totalRent = 0;
+    let totalBuyCosts = 0;
+    const points = [{ year: 0, buyNetWorth: netEquityAt(0), rentNetWorth: renterPortfolio, totalRent, totalBuyCosts }];
+
+    for (let month = 1; month <= years * 12; month++) {
+        const monthlyRent = rent * Math.pow(1 + rentEscalation / 100, Math.ceil(month / 12) - 1);
+        const buyCost = buyMonthlyCosts[month - 1] || 0;
+
+        renterPortfolio = renterPortfolio * (1 + monthlyReturn) + Math.max(0, buyCost - monthlyRent);
+        buyerPortfolio = buyerPortfolio * (1 + monthlyReturn) + Math.max(0, monthlyRent - buyCost);
+        totalRent += monthlyRent;
+        totalBuyCosts += buyCost;
+
+        if (month % 12 === 0) {
+            const year = month / 12;
+            points.push({
+                year,
+                buyNetWorth: netEquityAt(year) + buyerPortfolio,
+                rentNetWorth: renterPortfolio,
+                totalRent,
+                totalBuyCosts
+            });
+        }
+    }
+
+    const breakEven = points.find(point => point.year > 0 && point.buyNetWorth >= point.rentNetWorth);
+    return { points, breakEvenYear: breakEven ? breakEven.year : null };
+}
+
+// =============================================================================
+// AFFORDABILITY SOLVER ("What can we afford?")
+// =============================================================================
+
+const BINDING_CONSTRAINT_LABELS = {
+    gds: 'GDS target',
+    tds: 'TDS target',
+    minimumDownPayment: 'Minimum down payment (5% rule)',
+    cash: 'Cash on hand'
+};
+
+/**
+ * Re-run the purchase at a candidate offer price: CMHC, welcome tax, the parent's-loan
+ * gap and GDS/TDS. Returns the constraints that fail at this price (empty if affordable);
+ * with ratiosOnly, only GDS and TDS are checked.
+ */
+function evaluatePurchaseAtPrice(price, context) {
+    const {
+        is30Year, downPaymentValue, downPaymentMode, jurisdiction, rules, fixedOneTimeCosts, savingsForDownPayment,
+        mortgage, parentsLoan, otherLoanPayment, useQualifyingRate,
+        propertyTax, heating, ownerData, totalGrossIncome, rrspMonthlyRepayment, limits, ratiosOnly
+    } = context;
+
+    const downPayment = calculateDownPayment(downPaymentValue, downPaymentMode, price);
+    const cmhc = calculateCmhc(price, downPayment, is30Year, jurisdiction, rules);
+    const welcomeTax = calculateWelcomeTax(price, jurisdiction).totalTax;
+
+    // Same cash requirement as calculateScenario(): down payment + one-time costs (renovations included)
+    const totalCashNeeded = downPayment + welcomeTax + fixedOneTimeCosts;
+    const cashGap = Math.max(0, totalCashNeeded - savingsForDownPayment);
+    const parentsLoanAmount = parentsLoan ? cashGap : 0;
+
+    const mortgageRate = useQualifyingRate ? getQualifyingRate(mortgage.rate) : mortgage.rate;
+    const mortgagePayment = calculateMonthlyPayment(Math.max(0, cmhc.totalMortgage), mortgageRate, mortgage.termMonths, mortgage.compounding).monthlyPayment;
+    const parentsLoanPayment = parentsLoan ? calculateFamilyLoanPayment(parentsLoanAmount, parentsLoan) : 0;
+
+    const gdsHousingCosts = mortgagePayment + parentsLoanPayment + otherLoanPayment + propertyTax + heating;
+    const qualification = checkQualification(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment, limits);
+
+    const failures = [];
+    if (!qualification.gdsPasses) failures.push('gds');
+    if (!qualification.tdsPasses) failures.push('tds');
+    if (!ratiosOnly && downPayment < calculateMinimumDownPayment(price, rules)) failures.push('minimumDownPayment');
+    if (!ratiosOnly && !parentsLoan && cashGap > 0) failures.push('cash');
+
+    return {
+        price,
+        downPayment,
+        totalMortgage: cmhc.totalMortgage,
+        welcomeTax,
+        totalCashNeeded,
+        parentsLoanAmount,
+        mortgagePayment,
+        householdGds: qualification.householdGds,
+        householdTds: qualification.householdTds,
+        failures
+    };
+}
+
+function solveMaxAffordablePrice(context) {
+    if (!context.mortgage || context.mortgage.termMonths <= 0 || context.totalGrossIncome <= 0) return null;
+
+    const maxPrice = bisectMaxPrice(price => evaluatePurchaseAtPrice(price, context).failures.length === 0);
+    const atMax = evaluatePurchaseAtPrice(maxPrice, context);
+    const beyondMax = evaluatePurchaseAtPrice(maxPrice + 1000, context);
+
+    return {
+        maxPrice,
+        result: atMax,
+        binding: beyondMax.failures[0] || null,
+        limits: context.limits
+    };
+}
+
+function calculateAffordability(totalMonthlyCosts, grossMonthlyIncome) {
+    if (grossMonthlyIncome <= 0) {
+        return { ratio: 0, percent: 0, status: 'unknown', statusColor: 'gray' };
+    }
+
+    const ratio = totalMonthlyCosts / grossMonthlyIncome;
+    const percent = ratio * 100;
+
+    let status, statusColor;
+    if (percent <= 30) {
+        status = 'Affordable';
+        statusColor = 'green';
+    } else if (percent <= 40) {
+        status = 'Caution';
+        statusColor = 'yellow';
+    } else {
+        status = 'High Risk';
+        statusColor = 'red';
+    }
+
+    return { ratio, percent, status, statusColor };
+}
+
+// =============================================================================
+// FAMILY LOANS
+// =============================================================================
+
+function getFamilyLoanTerms(source) {
+    return {
+        isGift: source.isGift || false,
+        deferralMonths: source.deferralMonths || 0,
+        interestOnlyMonths: source.interestOnlyMonths || 0,
+        balloonOnSale: source.balloonOnSale || false,
+        forgivenessAmount: source.forgivenessAmount || 0,
+        forgivenessYears: source.forgivenessYears || 0
+    };
+}
+
+// Terms that move a family loan off a plain amortization (a gift has no schedule at all)
+function hasFamilyLoanTerms(terms) {
+    return Boolean(terms) && !terms.isGift && (
+        terms.deferralMonths > 0 || terms.interestOnlyMonths > 0 || terms.balloonOnSale ||
+        (terms.forgivenessAmount > 0 && terms.forgivenessYears > 0)
+    );
+}
+
+/**
+ * Regular monthly payment on a family loan, once repayment starts: nothing on a gift,
+ * the interest on a balloon loan, otherwise the balance after the deferral amortized over
+ * the months left after the interest-only period. This is the payment lenders count in TDS.
+ */
+function calculateFamilyLoanPayment(amount, loan) {
+    const terms = loan.familyTerms || getFamilyLoanTerms({});
+    if (terms.isGift || amount <= 0) return 0;
+
+    const monthlyRate = getMonthlyRate(loan.rate, loan.compounding);
+    const balance = amount * Math.pow(1 + monthlyRate, terms.deferralMonths);
+    const amortizationMonths = loan.termMonths - terms.deferralMonths - terms.interestOnlyMonths;
+    if (terms.balloonOnSale || amortizationMonths <= 0) return balance * monthlyRate;
+
+    return calculateMonthlyPayment(balance, loan.rate, amortizationMonths, loan.compounding).monthlyPayment;
+}
+
+/**
+ * How lenders read each family loan. A gift needs a signed gift letter and stays out of TDS.
+ * A loan is a borrowed down payment whose regular payment counts toward TDS, even while it
+ * is deferred or interest-only; insured purchases already get the borrowed-funds warning
+ * from validateMortgageInsurance.
+ */
+function validateFamilyLoans({ familyLoans, insured }) {
+    const warnings = [];
+
+    familyLoans.forEach(loan => {
+        const warn = (code, message, type = 'warning') => warnings.push({ type, source: loan.name, code, message });
+        const terms = loan.familyTerms;
+
+        if (terms.isGift) {
+            warn('familyGift', `${formatCurrency(loan.amount)} is documented as a gift: lenders will ask for a signed gift letter stating it never has to be repaid, and it is left out of TDS.`, 'info');
+            return;
+        }
+        if (!insured) {
+            warn('familyLoanBorrowed', `${formatCurrency(loan.amount)} of the cash to close is borrowed. Lenders expect the down payment from your own resources or a non-repayable gift; the loan must be disclosed and its payment counts toward TDS.`);
+        }
+        if (terms.deferralMonths > 0 || terms.interestOnlyMonths > 0 || terms.balloonOnSale) {
+            warn('familyLoanQualifyingPayment', `Lenders count the regular payment of ${formatCurrency(loan.monthlyPayment)}/mo in TDS from the start, even while payments are deferred or interest-only.`);
+        }
+    });
+
+    return warnings;
+}
+
+// =============================================================================
+// CO-OWNERSHIP
+// =============================================================================
+
+// Ownership shares on title; equal when none are entered
+function getOwnershipShares(owners) {
+    const total = owners.reduce((sum, owner) => sum + (owner.ownershipPercent || 0), 0);
+    return owners.map(owner => total > 0 ? (owner.ownershipPercent || 0) / total : 1 / owners.length);
+}
+
+// Each owner's share of shared costs under the cost-sharing rule (equal without any income)
+function getCostShares(owners, rule, ownershipShares = getOwnershipShares(owners)) {
+    if (rule === 'ownership') return ownershipShares;
+
+    const totalIncome = owners.reduce((sum, owner) => sum + owner.income, 0);
+    if (rule === 'income' && totalIncome > 0) return owners.map(owner => owner.income / totalIncome);
+
+    return owners.map(() => 1 / owners.length);
+}
+
+/**
+ * Who put what into the purchase and what each co-owner's equity is worth over time.
+ *
+ * Cash sources are credited to their owner, or split by the cost-sharing rule when shared;
+ * a family loan is credited to whoever repays it and its balance is their personal debt.
+ * When the sources hold more than the purchase needs, each (and a family loan's balance) is
+ * scaled down pro rata. The one-time costs and renovations are paid by the person chosen
+ * (or by the rule) and the rest of each person's cash goes to the down payment. Payments
+ * on the other loans are shared costs, so their principal is credited by the rule as it
+ * is repaid.
+ *
+ * Each year, every owner gets their capital (cash put in + principal repaid - family debt)
+ * back out of the net equity and the rest (appreciation less selling costs, insurance
+ * premium and one-time costs) is split by ownership share.
+ */
+function calculateCoOwnership(params) {
+    const {
+        owners, rule, sources, downPayment, oneTimeCosts, oneTimeCostsPaidBy, renovations,
+        schedule, monthlyCosts, propertyValues, remainingDebt, sellingCostPercent
+    } = params;
+    if (owners.length === 0) return null;
+
+    const ownershipShares = getOwnershipShares(owners);
+    const costShares = getCostShares(owners, rule, ownershipShares);
+    const splitFor = position => Number.isInteger(position) && position >= 0 && position < owners.length
+        ? owners.map((_, i) => (i === position ? 1 : 0))
+        : costShares;
+
+    const cashSources = sources.filter(s => FINANCING_TYPES[s.sourceType]?.countsTowardDownPayment && s.amount > 0);
+    const totalCash = cashSources.reduce((sum, s) => sum + s.amount, 0);
+    const totalRenovations = renovations.reduce((sum, r) => sum + (r.amount || 0), 0);
+    const fundedShare = totalCash > 0 ? Math.min(1, (downPayment + oneTimeCosts + totalRenovations) / totalCash) : 0;
+
+    const people = owners.map((owner, position) => ({
+        owner: position,
+        name: owner.name,
+        ownershipShare: ownershipShares[position],
+        costShare: costShares[position],
+        sources: [],
+        cashIn: 0,
+        oneTimeCosts: oneTimeCosts * splitFor(oneTimeCostsPaidBy)[position],
+        renovations: renovations.reduce((sum, r) => sum + (r.amount || 0) * splitFor(r.paidBy)[position], 0),
+        downPayment: 0,
+        monthlyCosts: 0
+    }));
+
+    cashSources.forEach(source => {
+        const split = splitFor(source.owner);
+        people.forEach((person, i) => {
+            const amount = source.amount * fundedShare * split[i];
+            if (amount <= 0) return;
+            person.sources.push({ name: source.name, sourceType: source.sourceType, amount });
+            person.cashIn += amount;
+        });
+    });
+    people.forEach(person => {
+        person.downPayment = person.cashIn - person.oneTimeCosts - person.renovations;
+    });
+
+    // Family loans are repaid by the person they were lent to; every other payment is shared
+    const familyLoans = schedule.loans.filter(loan => FINANCING_TYPES[loan.sourceType]?.hasFamilyTerms);
+    const sharedLoans = schedule.loans.filter(loan => !FINANCING_TYPES[loan.sourceType]?.hasFamilyTerms);
+    const familyLoanSplit = loan => splitFor(sources.find(s => s.index === loan.sourceIndex)?.owner);
+    const familyPayments = familyLoans.map(loan => ({
+        split: familyLoanSplit(loan),
+        payment: sources.find(s => s.index === loan.sourceIndex)?.monthlyPayment || 0
+    }));
+    const sharedMonthlyCosts = monthlyCosts - familyPayments.reduce((sum, loan) => sum + loan.payment, 0);
+    people.forEach((person, i) => {
+        person.monthlyCosts = sharedMonthlyCosts * costShares[i] + familyPayments.reduce((sum, loan) => sum + loan.payment * loan.split[i], 0);
+    });
+
+    const years = propertyValues.map((value, year) => {
+        const month = year * 12;
+        const { netEquity } = calculateNetEquity(value, remainingDebt[year], sellingCostPercent);
+        const sharedPrincipal = sharedLoans.reduce((sum, loan) => sum + loan.amount - getScheduleBalance(loan, month), 0);
+        const capital = people.map((person, i) => person.cashIn + sharedPrincipal * costShares[i] -
+            familyLoans.reduce((sum, loan) => sum + getScheduleBalance(loan, month) * fundedShare * familyLoanSplit(loan)[i], 0));
+        const unallocated = netEquity - capital.reduce((sum, c) => sum + c, 0);
+
+        return {
+            year,
+            netEquity,
+            owners: capital.map((c, i) => ({ capital: c, equity: c + unallocated * ownershipShares[i] }))
+        };
+    });
+
+    return { rule, people, years };
+}
+
+// =============================================================================
+// MORTGAGE INSURANCE ELIGIBILITY
+// =============================================================================
+
+function isEligibleFor30YearInsured(rules, firstTimeBuyer, isNewBuild) {
+    switch (rules.insured30YearEligibility) {
+        case 'firstTimeBuyerNewBuild': return firstTimeBuyer && isNewBuild;
+        case 'firstTimeBuyerOrNewBuild': return firstTimeBuyer || isNewBuild;
+        default: return false;
+    }
+}
+
+/**
+ * Check a purchase against the mortgage insurance rules in effect. Returns structured
+ * errors ({ type, source, code, message }) for the warnings list; uninsured purchases
+ * (20% down or more) only need the minimum down payment.
+ */
+function validateMortgageInsurance(params) {
+    const {
+        purchasePrice, downPayment, cmhc, rules, is30Year, amortizationMonths,
+        firstTimeBuyer, isNewBuild, borrowedDownPayment
+    } = params;
+    const errors = [];
+    if (purchasePrice <= 0) return errors;
+
+    const error = (code, message, type = 'error') => errors.push({ type, source: 'CMHC', code, message });
+    const minimumDownPayment = calculateMinimumDownPayment(purchasePrice, rules);
+
+    if (purchasePrice >= rules.insuredPriceCap) {
+        if (cmhc.cmhcRequired) {
+            error('insuredPriceCap', `Mortgage insurance is not available at or above ${formatCurrency(rules.insuredPriceCap)}: a down payment of at least ${formatCurrency(minimumDownPayment)} (20%) is required.`);
+        }
+        return errors;
+    }
+
+    if (downPayment < minimumDownPayment) {
+        error('minimumDownPayment', `Minimum down payment at this price is ${formatCurrency(minimumDownPayment)} (5% of the first $500,000 and 10% of the portion above). You are ${formatCurrency(minimumDownPayment - downPayment)} short.`);
+    }
+    if (!cmhc.cmhcRequired) return errors;
+
+    const eligibleFor30Years = isEligibleFor30YearInsured(rules, firstTimeBuyer, isNewBuild);
+    if (is30Year && !eligibleFor30Years) {
+        const eligibility = rules.insured30YearEligibility === 'none'
+            ? 'is not available'
+            : `is only for ${INSURED_30_YEAR_ELIGIBILITY[rules.insured30YearEligibility].toLowerCase()}`;
+        error('amortization30Year', `A 30-year amortization on an insured mortgage ${eligibility} (rules as of ${formatDate(rules.effectiveDate)}).`);
+    }
+
+    const maxAmortizationYears = is30Year && eligibleFor30Years ? 30 : rules.insuredMaxAmortizationYears;
+    if (amortizationMonths > maxAmortizationYears * 12) {
+        error('amortizationLimit', `Insured mortgages are limited to a ${maxAmortizationYears}-year amortization; the bank mortgage is set to ${amortizationMonths / 12} years.`);
+    }
+
+    if (borrowedDownPayment > 0) {
+        error('borrowedDownPayment', `${formatCurrency(borrowedDownPayment)} of the cash to close is borrowed. Insured mortgages expect the down payment from your own resources or a non-repayable gift; only some insurers accept borrowed funds, and their payment counts toward TDS.`, 'warning');
+    }
+
+    return errors;
+}
+
+// =============================================================================
+// CALCULATION CORE
+// =============================================================================
+
+function getLoanTerms(source) {
+    return source ? { rate: source.rate, termMonths: source.termMonths, compounding: source.compounding } : null;
+}
+
+/**
+ * Run the whole purchase for one scenario: CMHC, one-time costs, the parent's-loan gap,
+ * loan payments, GDS/TDS, the stress test, the affordability solver, the amortization
+ * schedule and rent vs buy.
+ *
+ * The state is a plain object: the scenario inputs (named like their form fields, with
+ * cityTaxes annual and downPayment in downPaymentMode units), closingDate (YYYY-MM-DD,
+ * today if empty), isNewBuild, province, municipality, renovations, financingSources
+ * (serialized sources plus their list index), owners (live incomes, debt payments and ownership %),
+ * firstTimeBuyer, savingsPlan, stressTest, limits, appreciation, rent, rentEscalation,
+ * investmentReturn, costSharing and oneTimeCostsPaidBy (an owner position, null when shared).
+ *
+ * With options.summaryOnly the affordability searches, the amortization schedule and the
+ * projections are skipped: only the first-month costs and ratios are computed.
+ */
+function calculateScenario(state, options = {}) {
+    const { summaryOnly = false } = options;
+    const { offerPrice, is30Year, insurance, electricity, upkeep } = state;
+    const downPayment = calculateDownPayment(state.downPayment, state.downPaymentMode, offerPrice);
+    // The closing date picks the regulatory rules and the year of the transfer tax brackets
+    const closingDate = state.closingDate || getCurrentDate();
+    const rules = getRegulatoryRules(closingDate);
+    const jurisdiction = {
+        province: state.province || DEFAULT_JURISDICTION.province,
+        municipality: state.province ? state.municipality || '' : DEFAULT_JURISDICTION.municipality,
+        firstTimeBuyer: state.firstTimeBuyer || false,
+        year: Number(closingDate.slice(0, 4))
+    };
+    const warnings = [];
+
+    // === CMHC ===
+    const cmhc = calculateCmhc(offerPrice, downPayment, is30Year, jurisdiction, rules);
+    const cityTaxesMonthly = state.cityTaxes / 12;
+
+    // === ONE-TIME COSTS ===
+    const welcomeTax = calculateWelcomeTax(offerPrice, jurisdiction);
+    const paintTotal = state.squareFootage * state.paintPerSqft;
+    const totalMovingCost = state.movingBase + paintTotal;
+    const totalRenovations = state.renovations.reduce((sum, r) => sum + (r.amount || 0), 0);
+    const inspectionCost = state.inspectionCost || 0;
+    const totalOneTime = welcomeTax.totalTax + state.notaryFees + inspectionCost + totalMovingCost + totalRenovations;
+
+    // === FINANCING SOURCES ===
+    // First pass: amounts and savings toward the down payment
+    // (must process ALL sources before calculating parent's loan gap)
+    let totalSavingsForDownPayment = 0;
+
+    const sources = state.financingSources.map(input => {
+        const source = { ...input };
+        const typeConfig = FINANCING_TYPES[source.sourceType];
+
+        // Auto-calculated sources (parent's loan) are sized once the gap is known;
+        // the auto-fill mortgage takes the CMHC-inclusive mortgage amount
+        if (typeConfig?.isAutoCalculated) {
+            source.amount = 0;
+        } else if (source.isAutoFillMortgage) {
+            source.amount = cmhc.totalMortgage > 0 ? cmhc.totalMortgage : 0;
+        } else if (typeConfig?.hasContributionRoom) {
+            // CELIAPP savings are projected to the closing date
+            source.fhsa = getFhsaProjection(source, closingDate, rules);
+            source.amount = source.fhsa.balance;
+            source.isProjected = true;
+        } else if (state.savingsPlan && typeConfig && followsSavingsPlan(typeConfig)) {
+            source.amount = projectSavingsBalance(source, getCurrentDate(), closingDate);
+            source.isProjected = true;
+        }
+
+        if (typeConfig && typeConfig.countsTowardDownPayment && !typeConfig.isAutoCalculated && source.amount > 0) {
+            totalSavingsForDownPayment += source.amount;
+        }
+
+        return source;
+    });
+
+    warnings.push(...validateFhsaWithdrawals({
+        fhsaSources: sources.filter(s => s.fhsa && s.amount > 0),
+        owners: state.owners,
+        closingDate,
+        firstTimeBuyer: state.firstTimeBuyer || false,
+        rules
+    }));
+
+    // Parent's loan covers the gap between savings and total cash needed
+    // Total cash needed = down payment + one-time costs (renovations included)
+    const totalCashNeeded = downPayment + totalOneTime;
+    const cashGap = Math.max(0, totalCashNeeded - totalSavingsForDownPayment);
+    const parentsLoan = sources.find(s => s.isAutoCalculated && s.sourceType === 'parents_loan');
+    if (parentsLoan) parentsLoan.amount = cashGap;
+
+    // === SAVINGS PLAN ===
+    const savingsPlan = state.savingsPlan ? {
+        targetDate: closingDate,
+        cashNeeded: totalCashNeeded,
+        savingsAtTarget: totalSavingsForDownPayment,
+        shortfall: cashGap,
+        earliest: summaryOnly ? null : findEarliestAffordableDate(totalCashNeeded, date => projectDownPaymentSavings(sources, date, rules))
+    } : null;
+
+    // === HOME BUYERS' PLAN ===
+    const hbpRepayment = calculateHbpRepayments({
+        sources: sources.filter(s => s.sourceType === 'rrsp' && s.amount > 0),
+        owners: state.owners,
+        startYear: getHbpRepaymentStartYear(closingDate, rules),
+        repaymentYears: FINANCING_TYPES.rrsp.repaymentYears
+    });
+    hbpRepayment.owners.forEach(owner => {
+        if (owner.withdrawal > rules.hbpMaxWithdrawal) {
+            warnings.push({
+                type: 'warning',
+                source: 'RRSP',
+                message: `${owner.name} withdraws ${formatCurrency(owner.withdrawal)} under the HBP; the maximum is ${formatCurrency(rules.hbpMaxWithdrawal)} per person. You may need to reduce this amount.`
+            });
+        }
+        if (owner.missedYears.length > 0) {
+            warnings.push({
+                type: 'warning',
+                source: 'RRSP',
+                message: `${owner.name} misses the HBP repayment for ${owner.missedYears.join(', ')}: ${formatCurrency(owner.includedInIncome)} is added to their taxable income (${formatCurrency(owner.annualMinimum)} each year).`
+            });
+        }
+    });
+    // Lenders count the minimum repayment; each owner carries their own share in TDS
+    const rrspMonthlyRepayment = hbpRepayment.owners.reduce((sum, owner) => sum + owner.annualMinimum, 0) / 12;
+
+    // === MORTGAGE INSURANCE ELIGIBILITY ===
+    const insuredMortgage = sources.find(s => s.isAutoFillMortgage && FINANCING_TYPES[s.sourceType]?.isMortgage);
+    warnings.push(...validateMortgageInsurance({
+        purchasePrice: offerPrice,
+        downPayment,
+        cmhc,
+        rules,
+        is30Year,
+        amortizationMonths: insuredMortgage ? insuredMortgage.termMonths : 0,
+        firstTimeBuyer: jurisdiction.firstTimeBuyer,
+        isNewBuild: state.isNewBuild || false,
+        borrowedDownPayment: sources
+            .filter(s => FINANCING_TYPES[s.sourceType]?.isLoan && FINANCING_TYPES[s.sourceType].countsTowardDownPayment && !s.isGift)
+            .reduce((sum, s) => sum + (s.amount || 0), 0)
+    }));
+
+    // Second pass: loan payments
+    let totalMonthlyLoanPayment = 0;
+    let totalInterestFirstMonth = 0;
+    let totalPrincipalFirstMonth = 0;
+    const loanPaymentDetails = [];
+
+    sources.forEach(source => {
+        const typeConfig = FINANCING_TYPES[source.sourceType];
+        if (!typeConfig) return;
+
+        // Variable-rate loans start at today's prime + spread
+        if (typeConfig.isVariableRate) {
+            source.rate = source.primeRate + source.primeSpread;
+            source.rateType = 'variable';
+        }
+
+        // A family gift is never repaid: no payment, no schedule
+        const familyTerms = typeConfig.hasFamilyTerms ? getFamilyLoanTerms(source) : null;
+        if (typeConfig.isLoan && source.amount > 0 && !familyTerms?.isGift) {
+            const rateType = source.rateType || 'fixed';
+            const initialCompounding = getTermCompounding(rateType, source.compounding);
+
+            // Ratios and totals use the monthly equivalent of the regular periodic payment: an
+            // accelerated frequency qualifies at its base frequency, the extra being a prepayment.
+            // Family loans with flexible terms are paid monthly
+            const paymentFrequency = hasFamilyLoanTerms(familyTerms) ? 'monthly' : source.paymentFrequency;
+            const periodicPayment = hasFamilyLoanTerms(familyTerms)
+                ? calculateFamilyLoanPayment(source.amount, { rate: source.rate, termMonths: source.termMonths, compounding: initialCompounding, familyTerms })
+                : calculatePeriodicPayment(source.amount, source.rate, source.termMonths, initialCompounding, paymentFrequency);
+            const { baseFrequency } = getPaymentFrequency(paymentFrequency);
+            const monthlyPayment = baseFrequency
+                ? getMonthlyEquivalentPayment(calculatePeriodicPayment(source.amount, source.rate, source.termMonths, initialCompounding, baseFrequency), baseFrequency)
+                : getMonthlyEquivalentPayment(periodicPayment, paymentFrequency);
+            const breakdown = calculatePaymentBreakdown(source.amount, source.rate, monthlyPayment, null, initialCompounding);
+
+            source.periodicPayment = periodicPayment;
+            source.monthlyPayment = monthlyPayment;
+            source.interestPortion = breakdown.interestPortion;
+            source.principalPortion = breakdown.principalPortion;
+
+            if (monthlyPayment > 0) {
+                totalMonthlyLoanPayment += monthlyPayment;
+                totalInterestFirstMonth += breakdown.interestPortion;
+                totalPrincipalFirstMonth += breakdown.principalPortion;
+
+                loanPaymentDetails.push({
+                    name: source.name,
+                    sourceType: source.sourceType,
+                    sourceIndex: source.index,
+                    isAutoFillMortgage: source.isAutoFillMortgage,
+                    isAutoCalculated: source.isAutoCalculated,
+                    interest: breakdown.interestPortion,
+                    principal: breakdown.principalPortion,
+                    amount: source.amount,
+                    rate: source.rate,
+                    termMonths: source.termMonths,
+                    compounding: initialCompounding,
+                    fixedCompounding: source.compounding,
+                    termLengthMonths: source.termLengthMonths,
+                    rateType,
+                    renewals: source.renewals || [],
+                    isVariableRate: typeConfig.isVariableRate || false,
+                    primeRate: source.primeRate,
+                    primeSpread: source.primeSpread,
+                    primePath: source.primePath || [],
+                    paymentType: source.paymentType,
+                    startDate: source.startDate,
+                    lumpSum: source.lumpSum,
+                    privilegePercent: source.privilegePercent,
+                    paymentIncreasePercent: source.paymentIncreasePercent,
+                    paymentFrequency,
+                    familyTerms,
+                    periodicPayment,
+                    monthlyPayment
+                });
+            }
+        }
+    });
+
+    const sumLoanPayments = predicate => loanPaymentDetails
+        .filter(predicate)
+        .reduce((sum, loan) => sum + loan.monthlyPayment, 0);
+    const mortgagePayment = sumLoanPayments(loan => loan.isAutoFillMortgage && FINANCING_TYPES[loan.sourceType]?.isMortgage);
+    const parentsLoanPayment = sumLoanPayments(loan => loan.isAutoCalculated && loan.sourceType === 'parents_loan');
+
+    // A term without a length runs to the end of the amortization, so the renewals after it never start
+    loanPaymentDetails.filter(loan => !loan.isVariableRate && loan.renewals.length > 0).forEach(loan => {
+        const lengths = [loan.termLengthMonths, ...loan.renewals.map(renewal => renewal.lengthMonths)];
+        const blankTerm = lengths.slice(0, -1).findIndex(length => !(length > 0));
+        if (blankTerm >= 0) {
+            const ignored = lengths.length - 1 - blankTerm;
+            warnings.push({
+                type: 'warning',
+                source: loan.name,
+                code: 'renewalLength',
+                message: `${blankTerm === 0 ? 'The initial term' : `Renewal ${blankTerm}`} has no term length, so it runs to the end of the amortization and the ${ignored === 1 ? 'renewal' : `${ignored} renewals`} after it ${ignored === 1 ? 'is' : 'are'} ignored. Only the last term can be left blank.`
+            });
+        }
+    });
+
+    warnings.push(...validateFamilyLoans({
+        familyLoans: sources
+            .filter(s => FINANCING_TYPES[s.sourceType]?.hasFamilyTerms && s.amount > 0)
+            .map(s => ({ name: s.name, amount: s.amount, monthlyPayment: s.monthlyPayment || 0, familyTerms: getFamilyLoanTerms(s) })),
+        insured: cmhc.cmhcRequired
+    }));
+
+    // === MONTHLY COSTS ===
+    const totalMonthlyCosts = totalMonthlyLoanPayment + insurance + electricity + upkeep + cityTaxesMonthly;
+
+    // === TOTAL INCOME & PER-PERSON DEBTS ===
+    const ownerData = state.owners.map((owner, position) => ({
+        ...owner,
+        totalDebts: owner.carLoan + owner.studentLoan + owner.personalLoan + owner.creditCard,
+        hbpRepaymentShare: rrspMonthlyRepayment > 0
+            ? (hbpRepayment.owners.find(o => o.owner === position)?.annualMinimum || 0) / 12 / rrspMonthlyRepayment
+            : 1 / state.owners.length
+    }));
+    const totalGrossIncome = ownerData.reduce((sum, owner) => sum + owner.income, 0);
+    const totalOtherDebtPayments = ownerData.reduce((sum, owner) => sum + owner.totalDebts, 0);
+
+    // === STRESS TEST ===
+    // Bank mortgages are re-priced at the qualifying rate; other loans keep their contract payment
+    const autoFillMortgage = getLoanTerms(sources.find(s => s.isAutoFillMortgage && FINANCING_TYPES[s.sourceType]?.isMortgage));
+    const getQualifyingPayment = loan => calculateMonthlyPayment(loan.amount, getQualifyingRate(loan.rate), loan.termMonths, loan.compounding).monthlyPayment;
+
+    let stressTest = null;
+    if (state.stressTest) {
+        const qualifyingLoanPayment = loanPaymentDetails.reduce((sum, loan) =>
+            sum + (FINANCING_TYPES[loan.sourceType]?.isMortgage ? getQualifyingPayment(loan) : loan.monthlyPayment), 0);
+
+        stressTest = {
+            qualifyingRate: autoFillMortgage ? getQualifyingRate(autoFillMortgage.rate) : null,
+            qualifyingLoanPayment,
+            maxPurchasePrice: null
+        };
+    }
+
+    // === WHAT CAN WE AFFORD? ===
+    const useQualifyingRate = stressTest !== null;
+    const otherLoanPayment = loanPaymentDetails
+        .filter(loan => !loan.isAutoFillMortgage && !(loan.isAutoCalculated && loan.sourceType === 'parents_loan'))
+        .reduce((sum, loan) => {
+            if (useQualifyingRate && FINANCING_TYPES[loan.sourceType]?.isMortgage) {
+                return sum + getQualifyingPayment(loan);
+            }
+            return sum + loan.monthlyPayment;
+        }, 0);
+
+    const solverContext = {
+        is30Year,
+        downPaymentValue: state.downPayment,
+        downPaymentMode: state.downPaymentMode,
+        jurisdiction,
+        rules,
+        fixedOneTimeCosts: totalOneTime - welcomeTax.totalTax,
+        savingsForDownPayment: totalSavingsForDownPayment,
+        mortgage: autoFillMortgage,
+        parentsLoan: parentsLoan ? { ...getLoanTerms(parentsLoan), familyTerms: getFamilyLoanTerms(parentsLoan) } : null,
+        otherLoanPayment,
+        useQualifyingRate,
+        propertyTax: cityTaxesMonthly,
+        heating: electricity,
+        ownerData,
+        totalGrossIncome,
+        rrspMonthlyRepayment,
+        limits: state.limits
+    };
+    const affordabilitySolution = summaryOnly ? null : solveMaxAffordablePrice(solverContext);
+
+    // The stress-tested maximum: the same search, held to the lender limits of the verdict only
+    if (stressTest && !summaryOnly) {
+        stressTest.maxPurchasePrice = solveMaxAffordablePrice({
+            ...solverContext,
+            limits: DEFAULT_QUALIFYING_LIMITS,
+            ratiosOnly: true
+        })?.maxPrice ?? null;
+    }
+
+    // === AFFORDABILITY ===
+    const gdsHousingCosts = (stressTest ? stressTest.qualifyingLoanPayment : totalMonthlyLoanPayment) + cityTaxesMonthly + electricity;
+    const qualification = checkQualification(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment);
+    // The verdict and the ratio bars use the lender limits; flag a household that only misses its own targets
+    const targetLimits = state.limits || DEFAULT_QUALIFYING_LIMITS;
+    const meetsTargets = checkQualification(ownerData, totalGrossIncome, gdsHousingCosts, rrspMonthlyRepayment, targetLimits).qualifies;
+    if (qualification.qualifies && !meetsTargets && totalGrossIncome > 0) {
+        warnings.push({
+            type: 'warning',
+            source: 'Affordability',
+            code: 'targetLimits',
+            message: `Within the lender limits (GDS ${GDS_QUALIFYING_LIMIT}%, TDS ${TDS_QUALIFYING_LIMIT}%) but above your targets (GDS ${formatPercent(targetLimits.gds)}, TDS ${formatPercent(targetLimits.tds)}) at this price.`
+        });
+    }
+    const housingCostRatio = totalGrossIncome > 0 ? (totalMonthlyCosts / totalGrossIncome) * 100 : 0;
+
+    // === CASH-FLOW TIMELINE ===
+    const rrspRepaymentStartMonth = getHbpRepaymentStartMonth(closingDate, hbpRepayment.startYear);
+    const cashFlowTimeline = summaryOnly ? null : buildCashFlowTimeline({
+        closingDate,
+        depositAmount: state.depositAmount || 0,
+        inspectionCost,
+        downPayment,
+        notaryFees: state.notaryFees,
+        movingCost: totalMovingCost,
+        renovationCost: totalRenovations,
+        welcomeTax: welcomeTax.totalTax,
+        welcomeTaxDueMonths: getJurisdictionSetting(jurisdiction, 'transferTaxDueMonths'),
+        monthlyLoanPayment: totalMonthlyLoanPayment,
+        annualPropertyTax: state.cityTaxes,
+        propertyTaxInstalmentMonths: getJurisdictionSetting(jurisdiction, 'propertyTaxInstalmentMonths'),
+        hbpRepayment,
+        cashSources: sources
+            .filter(s => s.amount > 0 && FINANCING_TYPES[s.sourceType] && (!FINANCING_TYPES[s.sourceType].isLoan || FINANCING_TYPES[s.sourceType].countsTowardDownPayment))
+            .map(s => ({ index: s.index, name: s.name, sourceType: s.sourceType, amount: s.amount, isLoan: FINANCING_TYPES[s.sourceType].isLoan }))
+    });
+    if (cashFlowTimeline && cashFlowTimeline.shortfall > 0) {
+        warnings.push({
+            type: 'warning',
+            source: 'Cash Flow',
+            message: `Savings fall ${formatCurrency(cashFlowTimeline.shortfall)} short of the up-front costs on the cash-flow timeline.`
+        });
+    }
+
+    // === AMORTIZATION ===
+    const schedule = summaryOnly ? { loans: [], rows: [] } : buildHouseholdSchedule(loanPaymentDetails);
+    const scheduleRows = schedule.rows;
+    const lifetimeInterest = scheduleRows.length > 0 ? scheduleRows[scheduleRows.length - 1].cumulativeInterest : 0;
+
+    // Variable-rate trigger and balloon warnings
+    schedule.loans.forEach(loan => {
+        const triggerRateRow = loan.rows.find(row => row.isTriggerRate);
+        const triggerPointRow = loan.rows.find(row => row.isTriggerPoint);
+        const balloonRow = loan.rows.find(row => row.isBalloon);
+        if (triggerRateRow) {
+            warnings.push({
+                type: 'warning',
+                source: loan.name,
+                message: `Trigger rate reached in month ${triggerRateRow.month} (year ${Math.ceil(triggerRateRow.month / 12)}) at ${formatPercent(triggerRateRow.rate, 2)}: interest exceeds the fixed payment and the balance starts growing.`
+            });
+        }
+        if (triggerPointRow) {
+            warnings.push({
+                type: 'warning',
+                source: loan.name,
+                message: `Trigger point reached in month ${triggerPointRow.month}: the balance exceeds ${formatPercent((VARIABLE_TRIGGER_POINT_RATIO - 1) * 100, 0)} over the original principal and the payment resets to ${formatCurrency(loan.rows[triggerPointRow.month]?.payment || 0)}/mo.`
+            });
+        }
+        if (balloonRow && FINANCING_TYPES[loan.sourceType]?.isVariableRate) {
+            warnings.push({
+                type: 'warning',
+                source: loan.name,
+                message: `${formatCurrency(balloonRow.payment)} balloon payment in month ${balloonRow.month} (year ${Math.ceil(balloonRow.month / 12)}): at the higher rates the fixed payment no longer pays off the loan in time.`
+            });
+        } else if (balloonRow) {
+            warnings.push({
+                type: 'warning',
+                source: loan.name,
+                message: `${formatCurrency(balloonRow.principal)} balloon repayment due on the sale in year ${Math.ceil(balloonRow.month / 12)}; it comes out of the sale proceeds.`
+            });
+        }
+    });
+
+    // === PROPERTY VALUE ===
+    const horizonYears = CHART_HORIZON_MONTHS / 12;
+    const equityProjection = projectEquity(offerPrice, state.appreciation, schedule, horizonYears);
+    const { propertyValues, remainingDebt } = equityProjection;
+
+    // === RENT VS BUY ===
+    // Buying costs every loan payment (including prepayments) plus the fixed ownership costs
+    const ownershipCosts = insurance + electricity + upkeep + cityTaxesMonthly;
+    const rentVsBuy = state.rent > 0 && !summaryOnly ? simulateRentVsBuy({
+        years: horizonYears,
+        upfrontSavings: Math.min(downPayment + totalOneTime, totalSavingsForDownPayment),
+        buyMonthlyCosts: Array.from({ length: CHART_HORIZON_MONTHS }, (_, i) => {
+            const row = scheduleRows[i];
+            return ownershipCosts + (row ? row.payment + row.prepayment : 0);
+        }),
+        rent: state.rent,
+        rentEscalation: state.rentEscalation,
+        investmentReturn: state.investmentReturn,
+        propertyValues,
+        remainingDebt,
+        sellingCostPercent: state.appreciation.sellingCostPercent
+    }) : null;
+
+    // === CO-OWNERSHIP ===
+    const coOwnership = summaryOnly ? null : calculateCoOwnership({
+        owners: state.owners,
+        rule: state.costSharing || 'income',
+        sources,
+        downPayment,
+        oneTimeCosts: totalOneTime - totalRenovations,
+        oneTimeCostsPaidBy: state.oneTimeCostsPaidBy,
+        renovations: state.renovations,
+        schedule,
+        monthlyCosts: totalMonthlyCosts,
+        propertyValues,
+        remainingDebt,
+        sellingCostPercent: state.appreciation.sellingCostPercent
+    });
+    const ownershipTotal = state.owners.reduce((sum, owner) => sum + (owner.ownershipPercent || 0), 0);
+    if (ownershipTotal > 0 && Math.abs(ownershipTotal - 100) > 0.01) {
+        warnings.push({
+            type: 'warning',
+            source: 'Co-Ownership',
+            message: `Ownership shares add up to ${formatPercent(ownershipTotal)} instead of 100%; they are scaled to 100% in the co-ownership summary.`
+        });
+    }
+
+    return {
+        offerPrice,
+        closingDate,
+        regulatoryRules: rules,
+        jurisdiction,
+        downPayment,
+        cmhc,
+        cityTaxesMonthly,
+        welcomeTax,
+        paintTotal,
+        totalMovingCost,
+        totalRenovations,
+        totalOneTime,
+        totalCashNeeded,
+        totalSavingsForDownPayment,
+        cashGap,
+        sources,
+        loanPaymentDetails,
+        totalMonthlyLoanPayment,
+        totalInterestFirstMonth,
+        totalPrincipalFirstMonth,
+        mortgagePayment,
+        parentsLoanPayment,
+        rrspMonthlyRepayment,
+        rrspRepaymentStartMonth,
+        hbpRepayment,
+        totalMonthlyCosts,
+        ownershipCosts,
+        ownerData,
+        totalGrossIncome,
+        totalOtherDebtPayments,
+        stressTest,
+        affordabilitySolution,
+        gdsHousingCosts,
+        qualification,
+        housingCostRatio,
+        schedule,
+        lifetimeInterest,
+        prepaymentSavings: summarizePrepaymentSavings(schedule),
+        propertyValues,
+        remainingDebt,
+        equityProjection,
+        rentVsBuy,
+        coOwnership,
+        cashFlowTimeline,
+        savingsPlan,
+        warnings
+    };
+}
+
+// =============================================================================
+// SENSITIVITY ANALYSIS
+// =============================================================================
+
+// Inputs varied by the sensitivity analysis. The mortgage rate moves by percentage points;
+// everything else moves by a percentage of its current value.
+const SENSITIVITY_FACTORS = {
+    rate: { label: 'Mortgage rate', unit: 'pts', defaultRange: 1 },
+    offerPrice: { label: 'Offer price', unit: '%', defaultRange: 10 },
+    downPayment: { label: 'Down payment', unit: '%', defaultRange: 25 },
+    cityTaxes: { label: 'City taxes', unit: '%', defaultRange: 20 },
+    income: { label: 'Household income', unit: '%', defaultRange: 10 },
+    upkeep: { label: 'Upkeep', unit: '%', defaultRange: 50 }
+};
+
+const SENSITIVITY_GRID_STEPS = 5;
+
+function applySensitivityChange(state, factor, change) {
+    const scale = value => value * (1 + change / 100);
+
+    switch (factor) {
+        case 'rate':
+            // Variable-rate mortgages move with prime
+            return {
+                ...state,
+                financingSources: state.financingSources.map(source => {
+                    const typeConfig = FINANCING_TYPES[source.sourceType];
+                    if (!typeConfig?.isMortgage) return source;
+                    return typeConfig.isVariableRate
+                        ? { ...source, primeRate: source.primeRate + change }
+                        : { ...source, rate: Math.max(0, source.rate + change) };
+                })
+            };
+        case 'income':
+            return { ...state, owners: state.owners.map(owner => ({ ...owner, income: scale(owner.income) })) };
+        case 'offerPrice':
+        case 'downPayment':
+        case 'cityTaxes':
+        case 'upkeep':
+            return { ...state, [factor]: scale(state[factor]) };
+        default:
+            return state;
+    }
+}
+
+function summarizeSensitivityResult(results) {
+    return {
+        totalMonthlyCosts: results.totalMonthlyCosts,
+        housingCostRatio: results.housingCostRatio
+    };
+}
+
+/**
+ * Re-run the scenario with each factor at the low and high end of its range.
+ * ranges maps factor keys to their +/- range (missing keys use the default).
+ */
+function runSensitivityAnalysis(state, ranges = {}) {
+    const run = changedState => summarizeSensitivityResult(calculateScenario(changedState, { summaryOnly: true }));
+
+    return {
+        base: run(state),
+        factors: Object.entries(SENSITIVITY_FACTORS).map(([key, factor]) => {
+            const range = ranges[key] ?? factor.defaultRange;
+            return {
+                key,
+                label: factor.label,
+                unit: factor.unit,
+                range,
+                low: run(applySensitivityChange(state, key, -range)),
+                high: run(applySensitivityChange(state, key, range))
+            };
+        })
+    };
+}
+
+/**
+ * Housing cost ratio and monthly cost for every combination of mortgage rate change
+ * (percentage points) and offer price change (percent), evenly spread over the ranges.
+ */
+function buildRatePriceGrid(state, rateRange, priceRange, steps = SENSITIVITY_GRID_STEPS) {
+    const offsets = Array.from({ length: steps }, (_, i) => steps > 1 ? -1 + 2 * i / (steps - 1) : 0);
+    const rateChanges = offsets.map(offset => offset * rateRange);
+    const priceChanges = offsets.map(offset => offset * priceRange);
+
+    return {
+        rateChanges,
+        prices: priceChanges.map(change => state.offerPrice * (1 + change / 100)),
+        cells: priceChanges.map(priceChange => {
+            const pricedState = applySensitivityChange(state, 'offerPrice', priceChange);
+            return rateChanges.map(rateChange => summarizeSensitivityResult(
+                calculateScenario(applySensitivityChange(pricedState, 'rate', rateChange), { summaryOnly: true })
+            ));
+        })
+    };
+}
+
+// =============================================================================
+// MONTE CARLO SIMULATION
+// =============================================================================
+
+// Mortgages without a term length are assumed to renew every 5 years in the simulation
+const SIMULATION_TERM_MONTHS = 60;
+const SIMULATION_MIN_RATE = 0.5;
+const SIMULATION_PERCENTILES = [10, 25, 50, 75, 90];
+const SIMULATION_MAX_TRIALS = 10000;
+
+// Means and standard deviations are in percentage points: rate change per renewal,
+// yearly appreciation and yearly income growth
+const DEFAULT_SIMULATION_SETTINGS = {
+    trials: 1000,
+    rateChangeMean: 0,
+    rateChangeStdDev: 1,
+    appreciationMean: 3,
+    appreciationStdDev: 5,
+    incomeGrowthMean: 2,
+    incomeGrowthStdDev: 2
+};
+
+function sampleNormal(mean, stdDev) {
+    // Box-Muller transform
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function getPercentiles(values, percentiles = SIMULATION_PERCENTILES) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const result = {};
+    percentiles.forEach(p => {
+        result[`p${p}`] = sorted[Math.round(p / 100 * (sorted.length - 1))];
+    });
+    return result;
+}
+
+/**
+ * Replace a mortgage's renewal rates with a random walk that moves at every renewal, or add
+ * such a walk to a variable loan's own prime path. Other loans keep their contract rate.
+ */
+function sampleLoanRatePath(loan, settings) {
+    if (!FINANCING_TYPES[loan.sourceType]?.isMortgage) return loan;
+
+    const termLength = loan.termLengthMonths > 0 ? loan.termLengthMonths : SIMULATION_TERM_MONTHS;
+    const renewalCount = Math.max(0, Math.ceil(loan.termMonths / termLength) - 1);
+    const step = rate => Math.max(SIMULATION_MIN_RATE, rate + sampleNormal(settings.rateChangeMean, settings.rateChangeStdDev));
+
+    if (loan.isVariableRate) {
+        // The prime path entered for the loan is the baseline; the sampled shocks build up on
+        // top of it, and its own change dates are kept
+        const userPath = [...(loan.primePath || [])].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        let shock = 0;
+        const shocks = Array.from({ length: renewalCount }, (_, i) => {
+            shock += sampleNormal(settings.rateChangeMean, settings.rateChangeStdDev);
+            return { date: addMonthsToYearMonth(loan.startDate, (i + 1) * termLength), shock };
+        });
+        const shockAt = date => shocks.filter(entry => entry.date <= date).reduce((_, entry) => entry.shock, 0);
+        const dates = [...new Set([...userPath.map(change => change.date).filter(Boolean), ...shocks.map(entry => entry.date)])].sort();
+        const primePath = dates.map(date => ({
+            date,
+            rate: Math.max(SIMULATION_MIN_RATE, getPrimeRateAt(userPath, loan.primeRate, date) + shockAt(date))
+        }));
+        return { ...loan, primePath };
+    }
+
+    let rate = loan.rate;
+    const renewals = Array.from({ length: renewalCount }, (_, i) => {
+        rate = step(rate);
+        return { lengthMonths: termLength, rate, rateType: loan.renewals?.[i]?.rateType || loan.rateType };
+    });
+    return { ...loan, termLengthMonths: termLength, renewals };
+}
+
+/**
+ * Payment a lender counts for a loan in a schedule month, as in calculateScenario(): the
+ * scheduled payment without prepayments, and a family loan's regular payment through any
+ * deferred or interest-only months. Nothing once the loan is paid off.
+ */
+function getRequiredPayment(loan, loanSchedule, index) {
+    if (!loanSchedule.rows[index]) return 0;
+    if (hasFamilyLoanTerms(loan.familyTerms)) return loan.monthlyPayment;
+    return loanSchedule.baselineRows[index]?.payment || 0;
+}
+
+/**
+ * Run many trials of the scenario over the amortization engine, sampling renewal rates,
+ * yearly appreciation and yearly income growth per owner. Returns percentile bands by year
+ * for the average monthly loan payment (prepayments included), equity and the highest
+ * owner TDS (on the required payments), plus the share of trials in which any owner's TDS
+ * exceeds the qualifying limit in some year.
+ */
+function runMonteCarloSimulation(state, settings = {}, onProgress = null) {
+    const options = { ...DEFAULT_SIMULATION_SETTINGS, ...settings };
+    const trials = Math.min(SIMULATION_MAX_TRIALS, Math.max(1, Math.round(options.trials)));
+    const years = CHART_HORIZON_MONTHS / 12;
+    const base = calculateScenario(state, { summaryOnly: true });
+    const fixedHousingCosts = base.cityTaxesMonthly + state.electricity;
+
+    const paymentByYear = Array.from({ length: years }, () => []);
+    const equityByYear = Array.from({ length: years }, () => []);
+    const tdsByYear = Array.from({ length: years }, () => []);
+    let breachedTrials = 0;
+
+    for (let trial = 0; trial < trials; trial++) {
+        const loans = base.loanPaymentDetails.map(loan => sampleLoanRatePath(loan, options));
+        const schedule = buildHouseholdSchedule(loans);
+        let propertyValue = state.offerPrice;
+        let incomes = base.ownerData.map(owner => owner.income);
+        let breached = false;
+
+        for (let year = 1; year <= years; year++) {
+            propertyValue *= 1 + sampleNormal(options.appreciationMean, options.appreciationStdDev) / 100;
+            if (year > 1) {
+                incomes = incomes.map(income => income * (1 + sampleNormal(options.incomeGrowthMean, options.incomeGrowthStdDev) / 100));
+            }
+
+            const yearRows = schedule.rows.slice((year - 1) * 12, year * 12);
+            const loanPayment = yearRows.reduce((sum, row) => sum + row.payment + row.prepayment, 0) / 12;
+            let requiredPayment = 0;
+            for (let index = (year - 1) * 12; index < year * 12; index++) {
+                requiredPayment += loans.reduce((sum, loan, i) => sum + getRequiredPayment(loan, schedule.loans[i], index), 0) / 12;
+            }
+            const remainingDebt = schedule.loans.reduce((sum, loan) => sum + getScheduleBalance(loan, year * 12), 0);
+
+            // RRSP repayments run for 15 years from the HBP start year, as in the payment chart
+            const rrspStartYear = Math.floor(base.rrspRepaymentStartMonth / 12) + 1;
+            const rrspRepayment = year >= rrspStartYear && year < rrspStartYear + 15 ? base.rrspMonthlyRepayment : 0;
+            const ownerData = base.ownerData.map((owner, i) => ({ ...owner, income: incomes[i] }));
+            const totalIncome = incomes.reduce((sum, income) => sum + income, 0);
+            const qualification = checkQualification(ownerData, totalIncome, requiredPayment + fixedHousingCosts, rrspRepayment);
+            const earningOwners = qualification.owners.filter(owner => owner.income > 0);
+
+            paymentByYear[year - 1].push(loanPayment);
+            equityByYear[year - 1].push(propertyValue - remainingDebt);
+            tdsByYear[year - 1].push(Math.max(0, ...earningOwners.map(owner => owner.tdsRatio)));
+            if (earningOwners.some(owner => owner.tdsRatio > TDS_QUALIFYING_LIMIT)) breached = true;
+        }
+
+        if (breached) breachedTrials++;
+        if (onProgress && ((trial + 1) % 100 === 0 || trial + 1 === trials)) onProgress(trial + 1, trials);
+    }
+
+    return {
+        trials,
+        years: Array.from({ length: years }, (_, i) => i + 1),
+        payment: paymentByYear.map(values => getPercentiles(values)),
+        equity: equityByYear.map(values => getPercentiles(values)),
+        tds: tdsByYear.map(values => getPercentiles(values)),
+        tdsBreachProbability: breachedTrials / trials
+    };
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+function formatCurrency(amount) {
+    return new Intl.NumberFormat('en-CA', {
+        style: 'currency',
+        currency: 'CAD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+    }).format(amount);
+}
+
+function formatPercent(value, decimals = 1) {
+    return value.toFixed(decimals) + '%';
+}
@@ -0,0 +1,18 @@
+/**
+ * Home Purchase Calculator - Simulation Worker
+ *
+ * Runs the Monte Carlo simulation off the main thread so the page stays responsive.
+ * Receives { state, settings } and posts progress updates followed by the result.
+ */
+
+importScripts('calculations.js');
+
+self.onmessage = event => {
+    const { state, settings } = event.data;
+
+    const result = runMonteCarloSimulation(state, settings, (completed, total) => {
+        self.postMessage({ type: 'progress', completed, total });
+    });
+
+    self.postMessage({ type: 'result', result });
+};